@@ -0,0 +1,145 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const { existsSync } = require('fs');
+
+const { logger } = require('./logger');
+const { createJsonStore } = require('./json-store');
+
+// Asset cache
+// Script replies, images and narration segments are stored under a hash of the provider,
+// model, prompt and parameters that produced them, so an identical generation is only paid
+// for once. Entries unused for ASSET_CACHE_MAX_AGE_DAYS are evicted, then the least recently
+// used ones until the cache fits in ASSET_CACHE_MAX_MB. The index lives next to the files.
+const ASSET_CACHE_DIR = process.env.ASSET_CACHE_DIR || 'cache';
+const ASSET_CACHE_INDEX = path.join(ASSET_CACHE_DIR, 'index.json');
+const ASSET_CACHE_ENABLED = process.env.ASSET_CACHE !== 'false';
+const ASSET_CACHE_MAX_BYTES = Math.round(parseFloat(process.env.ASSET_CACHE_MAX_MB || '1024') * 1024 * 1024);
+const ASSET_CACHE_MAX_AGE = parseFloat(process.env.ASSET_CACHE_MAX_AGE_DAYS || '30') * 24 * 60 * 60 * 1000;
+const ASSET_KINDS = ['script', 'image', 'audio'];
+
+const assetCache = new Map(); // By key
+const assetCacheStore = createJsonStore(ASSET_CACHE_INDEX, 'asset cache index');
+
+const saveAssetCache = () => assetCacheStore.save(() => [...assetCache.values()]);
+
+// Per-job record of what the cache saved. `enabled` is false when the request asked for
+// no_cache (or the cache is turned off), in which case every asset is generated. `assets`
+// lists the hash of every asset the job used, by kind.
+const createCacheStats = (enabled) => ({
+    enabled: ASSET_CACHE_ENABLED && enabled,
+    hits: Object.fromEntries(ASSET_KINDS.map(kind => [kind, 0])),
+    misses: Object.fromEntries(ASSET_KINDS.map(kind => [kind, 0])),
+    assets: Object.fromEntries(ASSET_KINDS.map(kind => [kind, []]))
+});
+
+// Hit and miss counts as reported to clients
+const summarizeCacheStats = ({ enabled, hits, misses }) => ({ enabled, hits, misses });
+
+const getAssetCacheKey = (kind, provider, params) => crypto.createHash('sha256')
+    .update(JSON.stringify({ kind, provider: provider.name, model: provider.model, params }))
+    .digest('hex');
+
+const getAssetCachePath = (entry) => path.join(ASSET_CACHE_DIR, entry.kind, `${entry.key}.${entry.format}`);
+
+// Evict entries that are too old, then the least recently used until the cache fits
+const pruneAssetCache = async () => {
+    const now = Date.now();
+    const entries = [...assetCache.values()].sort((a, b) => a.last_used_at.localeCompare(b.last_used_at));
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted = [];
+    for (const entry of entries) {
+        if (now - Date.parse(entry.last_used_at) <= ASSET_CACHE_MAX_AGE && totalBytes <= ASSET_CACHE_MAX_BYTES) break;
+        assetCache.delete(entry.key);
+        totalBytes -= entry.size;
+        evicted.push(entry);
+    }
+    if (evicted.length === 0) return;
+
+    await Promise.all(evicted.map(entry => fsPromises.rm(getAssetCachePath(entry), { force: true })));
+    saveAssetCache();
+    logger.info(`Evicted ${evicted.length} asset cache entries (${(totalBytes / (1024 * 1024)).toFixed(1)} MB left)`);
+};
+
+// Return the asset for these parameters from the cache, or produce and store it. `produce`
+// resolves to { buffer, format }. `refresh` skips the lookup but still stores the result.
+const withAssetCache = async (kind, provider, params, stats, produce, { refresh = false } = {}) => {
+    const useCache = Boolean(stats && stats.enabled);
+    const key = getAssetCacheKey(kind, provider, params);
+    if (stats) stats.assets[kind].push(key);
+
+    const entry = useCache && !refresh ? assetCache.get(key) : null;
+    if (entry) {
+        try {
+            const buffer = await fsPromises.readFile(getAssetCachePath(entry));
+            entry.last_used_at = new Date().toISOString();
+            saveAssetCache();
+            stats.hits[kind]++;
+            return { buffer, format: entry.format };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            assetCache.delete(key); // Evicted while we were looking it up
+        }
+    }
+
+    const asset = await produce();
+    if (stats) stats.misses[kind]++;
+    if (ASSET_CACHE_ENABLED && stats) {
+        // A cache that can't be written only costs money later, so the job carries on
+        const now = new Date().toISOString();
+        const stored = { key, kind, format: asset.format, size: asset.buffer.length, created_at: now, last_used_at: now };
+        try {
+            await fsPromises.mkdir(path.join(ASSET_CACHE_DIR, kind), { recursive: true });
+            await fsPromises.writeFile(getAssetCachePath(stored), asset.buffer);
+            assetCache.set(key, stored);
+            saveAssetCache();
+            await pruneAssetCache();
+        } catch (error) {
+            logger.error(`Error storing ${kind} in the asset cache: ${error.message}`);
+        }
+    }
+    return asset;
+};
+
+// Reload the cache index, dropping entries whose file has gone and files nothing refers to
+const loadAssetCache = async () => {
+    if (!ASSET_CACHE_ENABLED) return;
+    const stored = await assetCacheStore.load();
+    stored.filter(entry => existsSync(getAssetCachePath(entry))).forEach(entry => assetCache.set(entry.key, entry));
+
+    const known = new Set([...assetCache.values()].map(entry => path.basename(getAssetCachePath(entry))));
+    for (const kind of ASSET_KINDS) {
+        const files = await fsPromises.readdir(path.join(ASSET_CACHE_DIR, kind)).catch(() => []);
+        await Promise.all(files
+            .filter(file => !known.has(file))
+            .map(file => fsPromises.rm(path.join(ASSET_CACHE_DIR, kind, file), { force: true })));
+    }
+    await pruneAssetCache();
+    logger.info(`Loaded ${assetCache.size} asset cache entries`);
+};
+
+const getAssetCacheSummary = () => {
+    const entries = [...assetCache.values()];
+    return {
+        enabled: ASSET_CACHE_ENABLED,
+        entries: entries.length,
+        size_bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        max_bytes: ASSET_CACHE_MAX_BYTES,
+        max_age_days: ASSET_CACHE_MAX_AGE / (24 * 60 * 60 * 1000),
+        by_kind: Object.fromEntries(ASSET_KINDS.map(kind => [kind, entries.filter(entry => entry.kind === kind).length]))
+    };
+};
+
+const clearAssetCache = async () => {
+    const entries = [...assetCache.values()];
+    assetCache.clear();
+    await Promise.all(entries.map(entry => fsPromises.rm(getAssetCachePath(entry), { force: true })));
+    await saveAssetCache();
+    logger.info(`Cleared ${entries.length} asset cache entries`);
+    return entries.length;
+};
+
+module.exports = {
+    ASSET_CACHE_DIR, ASSET_CACHE_ENABLED, createCacheStats, summarizeCacheStats, withAssetCache,
+    loadAssetCache, getAssetCacheSummary, clearAssetCache
+};
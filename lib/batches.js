@@ -0,0 +1,328 @@
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const multer = require('multer');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const { logContext, logger } = require('./logger');
+const { resolveResultUrls } = require('./storage');
+const { STRUCTURED_FIELDS, parseFormField } = require('./uploads');
+const { jobs } = require('./jobs');
+const { parseGenerateOptions } = require('./validation');
+
+// Batches
+// A batch fans a list of headlines out into ordinary generation jobs. Items come from JSON,
+// a CSV file (one row per video, with a header row naming the fields) or an RSS/Atom feed
+// (one video per entry title), and `defaults` fills in any field an item leaves out. Batch
+// progress and the final manifest are read from the jobs, so retried jobs count too.
+const BATCH_MAX_ITEMS = Math.max(1, parseInt(process.env.BATCH_MAX_ITEMS) || 50);
+const BATCH_MAX_FILE_BYTES = 1024 * 1024;
+const BATCH_FEED_TIMEOUT = 10 * 1000;
+const BATCH_FILE_EXTENSIONS = { '.csv': 'csv', '.xml': 'feed', '.rss': 'feed', '.atom': 'feed' };
+
+// Split CSV text into rows of fields, honouring quoted fields with commas, quotes and newlines
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// CSV rows to batch items, keyed by the header row. Empty cells fall back to the defaults.
+const parseCsvItems = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.map(name => name.trim().toLowerCase()).includes('headline')) {
+        return { error: "CSV must have a header row with a headline column" };
+    }
+    const fields = header.map(name => name.trim().toLowerCase());
+    return {
+        items: rows.map(cells => Object.fromEntries(fields
+            .map((name, i) => [name, (cells[i] || '').trim()])
+            .filter(([name, value]) => name && value)
+            .map(([name, value]) => [name, STRUCTURED_FIELDS.includes(name) ? parseFormField(value) : value])))
+    };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Text content of an XML element: CDATA unwrapped, entities decoded and any markup dropped
+const decodeXmlText = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        }
+        return XML_ENTITIES[name.toLowerCase()] !== undefined ? XML_ENTITIES[name.toLowerCase()] : entity;
+    })
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// RSS <item> or Atom <entry> elements to batch items, one per entry title
+const parseFeedItems = (xml) => {
+    const entries = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi);
+    if (!entries) {
+        return { error: "Feed has no RSS items or Atom entries" };
+    }
+    const items = [];
+    for (const entry of entries) {
+        const title = entry.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        const headline = title ? decodeXmlText(title[1]) : '';
+        if (!headline) continue;
+        // RSS puts the URL in the element, Atom in an href attribute
+        const link = entry.match(/<link[^>]*>([\s\S]*?)<\/link>/i) || entry.match(/<link[^>]*href="([^"]+)"/i);
+        items.push({ headline, source_url: link ? decodeXmlText(link[1]) || null : null });
+    }
+    return { items };
+};
+
+// Feeds are fetched from URLs that callers choose, so they may only come from public
+// addresses: never loopback, private, link-local or other reserved ranges
+const BATCH_FEED_MAX_REDIRECTS = 5;
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList
+const BLOCKED_FEED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_FEED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_FEED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedFeedAddress = (address) => BLOCKED_FEED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// DNS lookup for feed requests that refuses blocked addresses. Checking at connect time,
+// rather than before the request, also covers redirects and DNS rebinding.
+const lookupFeedHost = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedFeedAddress(address))) {
+            return callback(new Error(`${hostname} is not a public address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+const feedAgents = {
+    'http:': new http.Agent({ lookup: lookupFeedHost }),
+    'https:': new https.Agent({ lookup: lookupFeedHost })
+};
+
+// Fetch a feed for a batch, following redirects by hand so every hop is checked, and
+// giving up after BATCH_FEED_TIMEOUT or once the body passes BATCH_MAX_FILE_BYTES
+const fetchFeed = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), BATCH_FEED_TIMEOUT);
+    try {
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            const { protocol, hostname } = new URL(url);
+            if (!feedAgents[protocol]) throw new Error('Feed URLs must be http or https');
+            // Literal IP addresses never reach the lookup
+            const host = hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(host) && isBlockedFeedAddress(host)) throw new Error(`${hostname} is not a public address`);
+
+            response = await fetch(url, { signal: controller.signal, redirect: 'manual', agent: feedAgents[protocol] });
+            if (response.status < 300 || response.status >= 400 || !response.headers.get('location')) break;
+            if (redirects >= BATCH_FEED_MAX_REDIRECTS) throw new Error('Feed redirected too many times');
+            url = new URL(response.headers.get('location'), url).href;
+        }
+        if (!response.ok) throw new Error(`Feed request failed: ${response.status} ${response.statusText}`);
+
+        const contentType = (response.headers.get('content-type') || '').toLowerCase();
+        if (!/xml|rss|atom/.test(contentType)) {
+            throw new Error(`Feed has content type ${contentType || 'none'}, not RSS or Atom`);
+        }
+        if (parseInt(response.headers.get('content-length')) > BATCH_MAX_FILE_BYTES) {
+            throw new Error(`Feed is larger than ${BATCH_MAX_FILE_BYTES / (1024 * 1024)} MB`);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > BATCH_MAX_FILE_BYTES) {
+                controller.abort();
+                throw new Error(`Feed is larger than ${BATCH_MAX_FILE_BYTES / (1024 * 1024)} MB`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Collect the raw items of a batch request from whichever source it uses
+const readBatchItems = async (body, file) => {
+    if (file) {
+        const format = BATCH_FILE_EXTENSIONS[path.extname(file.originalname).toLowerCase()];
+        const text = file.buffer.toString('utf8');
+        return { source: format, ...(format === 'csv' ? parseCsvItems(text) : parseFeedItems(text)) };
+    }
+    if (body.feed_url !== undefined) {
+        if (typeof body.feed_url !== 'string' || !/^https?:\/\//.test(body.feed_url)) {
+            return { error: "feed_url must be an http or https URL" };
+        }
+        try {
+            return { source: 'feed', ...parseFeedItems(await fetchFeed(body.feed_url)) };
+        } catch (error) {
+            logger.error(`Error fetching feed ${body.feed_url}: ${error.message}`);
+            return { error: `Could not fetch feed: ${error.message}` };
+        }
+    }
+    if (!Array.isArray(body.items)) {
+        return { error: "Send items as a list, a CSV or feed file, or a feed_url" };
+    }
+    if (body.items.some(item => typeof item !== 'object' || item === null || Array.isArray(item))) {
+        return { error: "Each item must be an object" };
+    }
+    return { source: 'json', items: body.items };
+};
+
+// Validate every item of a batch, merged over the defaults. Returns { items } with each
+// item's options, or { errors } naming every item that can't be generated.
+const parseBatchItems = async (rawItems, defaults, apiKey) => {
+    const items = [];
+    const errors = [];
+    for (const [index, rawItem] of rawItems.entries()) {
+        const { source_url: sourceUrl = null, ...fields } = rawItem;
+        const result = await parseGenerateOptions({ ...defaults, ...fields }, apiKey);
+        if (result.error) {
+            errors.push({ index, headline: fields.headline || null, error: result.error });
+        } else if (result.options.variants.length > 0) {
+            // Batch progress follows its items, so each language is an item of its own
+            errors.push({ index, headline: fields.headline || null, error: "variants aren't supported in batches; add an item per language instead" });
+        } else {
+            items.push({ index, source_url: sourceUrl, options: result.options });
+        }
+    }
+    return errors.length > 0 ? { errors } : { items };
+};
+
+// A batch is finished once none of its jobs are waiting or running
+const getBatchStatus = (batchJobs) => {
+    const counts = Object.fromEntries(['queued', 'processing', 'completed', 'failed']
+        .map(status => [status, batchJobs.filter(job => job.status === status).length]));
+    let status = 'completed';
+    if (counts.queued + counts.processing > 0) status = 'processing';
+    else if (counts.failed === batchJobs.length) status = 'failed';
+    else if (counts.failed > 0) status = 'partial';
+    return { status, counts };
+};
+
+const serializeBatch = async (batch) => {
+    const batchJobs = batch.items.map(item => jobs.get(item.job_id)).filter(Boolean);
+    const { status, counts } = getBatchStatus(batchJobs);
+    const finished = status !== 'processing';
+
+    const items = await Promise.all(batch.items.map(async (item) => {
+        const job = jobs.get(item.job_id);
+        const result = job && job.result ? await resolveResultUrls(job.result) : null;
+        return {
+            index: item.index,
+            headline: item.headline,
+            source_url: item.source_url,
+            job_id: item.job_id,
+            status: job ? job.status : 'failed',
+            stage: job ? job.stage : null,
+            progress: job ? job.progress : 0,
+            video_url: result ? result.video_url : null,
+            captions: result ? result.captions || null : null,
+            duration: result ? result.duration : null,
+            error: job ? job.error : "Job no longer exists"
+        };
+    }));
+
+    return {
+        batch_id: batch.id,
+        source: batch.source,
+        status,
+        total: batch.items.length,
+        ...counts,
+        progress: Math.round(batchJobs.reduce((sum, job) => sum + job.progress, 0) / Math.max(batch.items.length, 1)),
+        items,
+        manifest_url: finished ? `/batches/${batch.id}/manifest` : null,
+        created_at: batch.created_at,
+        completed_at: finished ? batchJobs.map(job => job.completed_at).filter(Boolean).sort().pop() || null : null
+    };
+};
+
+const MANIFEST_CSV_COLUMNS = ['index', 'headline', 'source_url', 'job_id', 'status', 'video_url', 'srt_url', 'vtt_url', 'duration', 'error'];
+
+const escapeCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toManifestCsv = (items) => [MANIFEST_CSV_COLUMNS.join(',')]
+    .concat(items.map(item => MANIFEST_CSV_COLUMNS.map(column => escapeCsvField({
+        ...item,
+        srt_url: item.captions ? item.captions.srt_url : null,
+        vtt_url: item.captions ? item.captions.vtt_url : null
+    }[column])).join(',')))
+    .join('\n') + '\n';
+
+const batchUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: BATCH_MAX_FILE_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const allowed = Boolean(BATCH_FILE_EXTENSIONS[path.extname(file.originalname).toLowerCase()]);
+        cb(allowed ? null : new Error(`Batch file must be CSV or an RSS/Atom feed (${Object.keys(BATCH_FILE_EXTENSIONS).join(', ')})`), allowed);
+    }
+}).single('file');
+
+// Express middleware: accept an optional CSV or feed file for a batch
+const acceptBatchFile = (req, res, next) => {
+    batchUpload(req, res, (error) => {
+        if (error) {
+            const messages = {
+                LIMIT_FILE_SIZE: `Batch files must be smaller than ${BATCH_MAX_FILE_BYTES / (1024 * 1024)} MB`,
+                LIMIT_UNEXPECTED_FILE: "Send a single batch file in the file field"
+            };
+            return res.status(400).json({
+                success: false,
+                error: messages[error.code] || error.message
+            });
+        }
+        // multer calls back from its stream handlers, outside the request's log context
+        logContext.run({ correlation_id: req.correlationId }, next);
+    });
+};
+
+module.exports = {
+    BATCH_MAX_ITEMS, parseCsv, isBlockedFeedAddress, readBatchItems, parseBatchItems, serializeBatch, toManifestCsv,
+    acceptBatchFile
+};
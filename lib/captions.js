@@ -0,0 +1,203 @@
+const path = require('path');
+
+const { isTableKey } = require('./util');
+const { speechWeight } = require('./script');
+
+// Caption configuration
+const CAPTION_MAX_WORDS = 5; // Words per on-screen phrase
+const CAPTION_POSITIONS = { bottom: 2, middle: 5, top: 8 }; // ASS alignment (numpad layout)
+const CAPTION_HIGHLIGHTS = ['none', 'outline', 'box', 'karaoke'];
+const CAPTION_FONTS_DIR = process.env.CAPTION_FONTS_DIR;
+const DEFAULT_CAPTION_STYLE = {
+    font: 'Arial',
+    font_size: null, // Scales with the video height when not set
+    position: 'bottom',
+    highlight: 'outline',
+    color: '#FFFFFF',
+    highlight_color: '#FFD400'
+};
+
+// Validate the `captions` request field. Captions are on unless it is false.
+// A branding template supplies its own defaults.
+const parseCaptionOptions = (input, defaults = DEFAULT_CAPTION_STYLE) => {
+    if (input === false) return { options: null };
+    if (input === undefined || input === true) return { options: { ...defaults } };
+    if (typeof input !== 'object' || input === null) {
+        return { error: "Captions must be true, false or an object of style options" };
+    }
+
+    const options = { ...defaults, ...input };
+    if (typeof options.font !== 'string' || !options.font.trim()) {
+        return { error: "Caption font must be a non-empty string" };
+    }
+    if (options.font_size !== null && (!Number.isFinite(options.font_size) || options.font_size < 10 || options.font_size > 200)) {
+        return { error: "Caption font_size must be between 10 and 200" };
+    }
+    if (!isTableKey(CAPTION_POSITIONS, options.position)) {
+        return { error: `Caption position must be one of: ${Object.keys(CAPTION_POSITIONS).join(', ')}` };
+    }
+    if (!CAPTION_HIGHLIGHTS.includes(options.highlight)) {
+        return { error: `Caption highlight must be one of: ${CAPTION_HIGHLIGHTS.join(', ')}` };
+    }
+    for (const field of ['color', 'highlight_color']) {
+        if (!/^#[0-9a-fA-F]{6}$/.test(options[field])) {
+            return { error: `Caption ${field} must be a hex colour like #FFFFFF` };
+        }
+    }
+
+    return {
+        options: {
+            font: options.font.trim(),
+            font_size: options.font_size,
+            position: options.position,
+            highlight: options.highlight,
+            color: options.color,
+            highlight_color: options.highlight_color
+        }
+    };
+};
+
+// Narration text as it is spoken, without markup tags
+const stripNarrationMarkup = (script) => script.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Split timed words into short phrases, preferring sentence and clause boundaries. A clause
+// ends after a word ending in punctuation, so "1,000" or "U.S." stay whole.
+const splitCaptionPhrases = (timedWords) => {
+    const clauses = [];
+    let clause = [];
+    timedWords.forEach((timed) => {
+        clause.push(timed);
+        if (/[.!?,;:]["')\]]*$/.test(timed.word)) {
+            clauses.push(clause);
+            clause = [];
+        }
+    });
+    if (clause.length) clauses.push(clause);
+
+    const phrases = [];
+    for (const words of clauses) {
+        // Spread long clauses evenly instead of leaving a short tail
+        const chunkCount = Math.ceil(words.length / CAPTION_MAX_WORDS);
+        const chunkSize = Math.ceil(words.length / chunkCount);
+        for (let i = 0; i < words.length; i += chunkSize) {
+            phrases.push(words.slice(i, i + chunkSize));
+        }
+    }
+    return phrases;
+};
+
+// Gaps shorter than this between phrases are bridged so captions don't flicker
+const CAPTION_MAX_GAP = 0.6;
+
+// Time phrase-level cues from the narration timeline. Words are spread across the speech
+// segment they belong to, proportional to how long each takes to say.
+const buildCaptionCues = (timeline) => {
+    const timedWords = [];
+    timeline.filter(entry => entry.type === 'speech').forEach((segment) => {
+        const words = segment.text.split(/\s+/).filter(Boolean);
+        const totalWeight = words.reduce((sum, word) => sum + speechWeight(word), 0);
+        const secondsPerUnit = (segment.end - segment.start) / totalWeight;
+        let time = segment.start;
+        words.forEach((word) => {
+            const start = time;
+            time += speechWeight(word) * secondsPerUnit;
+            timedWords.push({ word, start, end: time });
+        });
+    });
+
+    const cues = splitCaptionPhrases(timedWords).map(words => ({
+        start: words[0].start,
+        end: words[words.length - 1].end,
+        text: words.map(timed => timed.word).join(' '),
+        words
+    }));
+
+    cues.forEach((cue, i) => {
+        const next = cues[i + 1];
+        if (next && next.start - cue.end < CAPTION_MAX_GAP) cue.end = next.start;
+    });
+    return cues;
+};
+
+const formatCaptionTimestamp = (seconds, separator) => {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+const toSrt = (cues) => cues.map((cue, i) =>
+    `${i + 1}\n${formatCaptionTimestamp(cue.start, ',')} --> ${formatCaptionTimestamp(cue.end, ',')}\n${cue.text}\n`
+).join('\n');
+
+const toVtt = (cues) => `WEBVTT\n\n${cues.map(cue =>
+    `${formatCaptionTimestamp(cue.start, '.')} --> ${formatCaptionTimestamp(cue.end, '.')}\n${cue.text}\n`
+).join('\n')}`;
+
+// #RRGGBB to ASS &HAABBGGRR
+const toAssColor = (hex, alpha = 0) => {
+    const [r, g, b] = [1, 3, 5].map(i => hex.slice(i, i + 2).toUpperCase());
+    return `&H${alpha.toString(16).padStart(2, '0').toUpperCase()}${b}${g}${r}`;
+};
+
+const formatAssTimestamp = (seconds) => {
+    const totalCs = Math.round(seconds * 100);
+    const hours = Math.floor(totalCs / 360000);
+    const minutes = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+const escapeAssText = (text) => text.replace(/\\/g, '\\\\').replace(/[{}]/g, '');
+
+// Build an ASS subtitle script for burning captions into a video of the given size
+const toAss = (cues, style, { width, height }) => {
+    const fontSize = style.font_size || Math.round(height * 0.055);
+    const isBox = style.highlight === 'box';
+    const isKaraoke = style.highlight === 'karaoke';
+    const outline = style.highlight === 'none' ? 0 : Math.max(2, Math.round(fontSize / 12));
+
+    // In karaoke mode words fill with the highlight colour as they're spoken
+    const primary = isKaraoke ? toAssColor(style.highlight_color) : toAssColor(style.color);
+    const secondary = isKaraoke ? toAssColor(style.color) : toAssColor(style.highlight_color);
+    const outlineColor = isBox ? toAssColor('#000000', 0x60) : toAssColor('#000000');
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        `PlayResY: ${height}`,
+        'WrapStyle: 0',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Default,${style.font},${fontSize},${primary},${secondary},${outlineColor},${toAssColor('#000000', 0x80)},1,0,0,0,100,100,0,0,${isBox ? 3 : 1},${outline},0,${CAPTION_POSITIONS[style.position]},${Math.round(width * 0.06)},${Math.round(width * 0.06)},${Math.round(height * 0.08)},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = cues.map((cue) => {
+        const text = isKaraoke
+            ? cue.words.map(({ word, start, end }) => `{\\kf${Math.max(1, Math.round((end - start) * 100))}}${escapeAssText(word)}`).join(' ')
+            : escapeAssText(cue.text);
+        return `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Default,,0,0,0,,${text}`;
+    });
+
+    return `${header.concat(events).join('\n')}\n`;
+};
+
+// Escape a path for use inside an FFmpeg filtergraph option
+const escapeFilterPath = (filePath) => path.resolve(filePath)
+    .replace(/\\/g, '/')
+    .replace(/:/g, '\\:')
+    .replace(/'/g, "\\'");
+
+module.exports = {
+    CAPTION_FONTS_DIR, DEFAULT_CAPTION_STYLE, parseCaptionOptions, stripNarrationMarkup, buildCaptionCues,
+    toSrt, toVtt, toAssColor, formatAssTimestamp, escapeAssText, toAss, escapeFilterPath
+};
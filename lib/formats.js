@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+
+const { logger } = require('./logger');
+
+// Output format presets
+// imageSize is the supported image size (DALL-E 3) whose aspect is closest to the output's
+const ASPECT_RATIOS = {
+    '9:16': { width: 9, height: 16, imageSize: '1024x1792' },
+    '4:5': { width: 4, height: 5, imageSize: '1024x1024' },
+    '1:1': { width: 1, height: 1, imageSize: '1024x1024' },
+    '16:9': { width: 16, height: 9, imageSize: '1792x1024' }
+};
+const RESOLUTIONS = { '1080p': 1080, '720p': 720, '480p': 480 }; // Length of the short side
+const FRAMING_MODES = ['crop', 'blur', 'pad'];
+const VIDEO_FPS = 30;
+
+// Output dimensions for an aspect ratio and resolution (even numbers, as yuv420p requires)
+const getOutputSize = (aspectRatio, resolution) => {
+    const ratio = ASPECT_RATIOS[aspectRatio];
+    const scale = RESOLUTIONS[resolution] / Math.min(ratio.width, ratio.height);
+    const even = (value) => Math.round(value / 2) * 2;
+    return { width: even(ratio.width * scale), height: even(ratio.height * scale) };
+};
+
+// Fit an image to the output frame:
+// crop - fill the frame, cropping around the most interesting region
+// blur - fit the whole image over a blurred, darkened copy of itself
+// pad  - fit the whole image with black bars
+const frameImage = async (inputPath, outputPath, { width, height, framing }) => {
+    try {
+        if (framing === 'crop') {
+            await sharp(inputPath)
+                .resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+                .png()
+                .toFile(outputPath);
+        } else if (framing === 'pad') {
+            await sharp(inputPath)
+                .resize(width, height, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 1 } })
+                .flatten({ background: '#000000' })
+                .png()
+                .toFile(outputPath);
+        } else {
+            const background = await sharp(inputPath)
+                .resize(width, height, { fit: 'cover' })
+                .blur(40)
+                .modulate({ brightness: 0.6 })
+                .toBuffer();
+            const foreground = await sharp(inputPath)
+                .resize(width, height, { fit: 'inside' })
+                .toBuffer();
+            await sharp(background)
+                .composite([{ input: foreground, gravity: 'center' }])
+                .png()
+                .toFile(outputPath);
+        }
+        return outputPath;
+    } catch (error) {
+        logger.error(`Error framing image ${inputPath}: ${error.message}`);
+        throw error;
+    }
+};
+
+// Filters that fit a video clip to the frame the same way frameImage fits a still.
+// Returns the filters that turn [input] into [output].
+const buildClipFraming = (input, output, framing, { width, height }) => {
+    const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+    const contain = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+    switch (framing) {
+        case 'pad':
+            return [`[${input}]${contain},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1[${output}]`];
+        case 'blur':
+            return [
+                `[${input}]split[${output}_bg][${output}_fg]`,
+                `[${output}_bg]${cover},boxblur=20:2[${output}_blurred]`,
+                `[${output}_fg]${contain}[${output}_contained]`,
+                `[${output}_blurred][${output}_contained]overlay=(W-w)/2:(H-h)/2,setsar=1[${output}]`
+            ];
+        default:
+            return [`[${input}]${cover},setsar=1[${output}]`];
+    }
+};
+
+module.exports = { ASPECT_RATIOS, RESOLUTIONS, FRAMING_MODES, getOutputSize, frameImage, VIDEO_FPS, buildClipFraming };
@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { execFile } = require('child_process');
+
+const { DATA_DIR } = require('./json-store');
+const { ASSET_CACHE_DIR, ASSET_CACHE_ENABLED } = require('./asset-cache');
+const { S3_BUCKET, LOCAL_STORAGE_ROOT, storage } = require('./storage');
+const { WORKSPACE_ROOT } = require('./jobs');
+
+// Health checks
+// /healthz only says the process is up. /readyz checks what a job needs: ffmpeg and
+// ffprobe, writable working directories and a configured storage backend.
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const checkExecutable = (command) => new Promise((resolve) => {
+    execFile(command, ['-version'], { timeout: HEALTH_CHECK_TIMEOUT }, (error, stdout) => {
+        if (error) {
+            resolve({ ok: false, error: error.code === 'ENOENT' ? `${command} not found` : error.message });
+            return;
+        }
+        resolve({ ok: true, version: stdout.split('\n')[0] });
+    });
+});
+
+const checkWritableDirectories = async () => {
+    const dirs = [path.join(LOCAL_STORAGE_ROOT, 'videos'), DATA_DIR, WORKSPACE_ROOT, ...(ASSET_CACHE_ENABLED ? [ASSET_CACHE_DIR] : [])];
+    const failed = [];
+    for (const dir of dirs) {
+        try {
+            await fsPromises.mkdir(dir, { recursive: true });
+            await fsPromises.access(dir, fs.constants.W_OK);
+        } catch (error) {
+            failed.push(`${dir} (${error.code || error.message})`);
+        }
+    }
+    return failed.length ? { ok: false, error: `Not writable: ${failed.join(', ')}` } : { ok: true, directories: dirs };
+};
+
+// Only the configuration is checked, so probes don't cost a request to the bucket
+const checkStorageConfig = () => {
+    if (storage.name === 'local') return { ok: true, backend: storage.name };
+    const missing = [
+        ['AWS_BUCKET_NAME', S3_BUCKET],
+        ['AWS_ACCESS_KEY_ID', process.env.AWS_ACCESS_KEY_ID],
+        ['AWS_SECRET_ACCESS_KEY', process.env.AWS_SECRET_ACCESS_KEY],
+        ...(storage.name === 's3' ? [['AWS_REGION', process.env.AWS_REGION]] : [])
+    ].filter(([, value]) => !value).map(([name]) => name);
+    return missing.length
+        ? { ok: false, backend: storage.name, error: `Missing ${missing.join(', ')}` }
+        : { ok: true, backend: storage.name, bucket: S3_BUCKET };
+};
+
+const checkReadiness = async () => {
+    const [ffmpegCheck, ffprobeCheck, directories] = await Promise.all([
+        checkExecutable(process.env.FFMPEG_PATH || 'ffmpeg'),
+        checkExecutable(process.env.FFPROBE_PATH || 'ffprobe'),
+        checkWritableDirectories()
+    ]);
+    const checks = {
+        ffmpeg: ffmpegCheck,
+        ffprobe: ffprobeCheck,
+        directories,
+        storage: checkStorageConfig()
+    };
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+};
+
+module.exports = { checkReadiness };
@@ -0,0 +1,64 @@
+const fsPromises = require('fs').promises;
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const { logger } = require('./logger');
+const { providers } = require('./providers');
+const { withAssetCache } = require('./asset-cache');
+
+// Generate one image per scene prompt, cycling through photographic styles for variety.
+// Images come back as Buffers. `refresh` lists prompts (by index) that skip the cache.
+const generateImage = async (prompts, { size = "1024x1024", onProgress, cache, refresh = [] } = {}) => {
+    logger.info(`Generating ${prompts.length} images`);
+    try {
+        const images = [];
+        const variations = [
+            (prompt) => `Professional 4K photograph of ${prompt}, natural lighting, photojournalistic style, real-life scene`,
+            (prompt) => `High-resolution documentary photograph of ${prompt}, captured in real location, natural colors, photorealistic`,
+            (prompt) => `Candid photograph of ${prompt}, shot on professional camera, realistic lighting, authentic scene`
+        ];
+
+        for (let i = 0; i < prompts.length; i++) {
+            const basePrompt = variations[i % variations.length](prompts[i]);
+            const fullPrompt = `${basePrompt}. Ensure photorealistic quality, no artificial or CGI elements, shot on professional camera with natural lighting. Style: photojournalism, documentary photography.`;
+            logger.info(`Generating image ${i + 1} for prompt: ${prompts[i]}`);
+
+            const { buffer } = await withAssetCache('image', providers.image, { prompt: fullPrompt, size, quality: "hd" }, cache, async () => {
+                const image = await providers.image.generate(fullPrompt, {
+                    size,
+                    quality: "hd"
+                });
+                // Image URLs expire, so keep the bytes
+                return { buffer: Buffer.isBuffer(image) ? image : await fetchImage(image), format: 'png' };
+            }, { refresh: Boolean(refresh[i]) });
+
+            images.push(buffer);
+            logger.info(`Image ${i + 1} generated successfully`);
+            if (onProgress) onProgress({ index: i + 1, total: prompts.length });
+        }
+
+        return images;
+    } catch (error) {
+        logger.error(`Error generating image: ${error.message}`);
+        throw error;
+    }
+};
+
+const fetchImage = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
+    return response.buffer();
+};
+
+// Save an image returned by the image provider, fetching it first if it is a URL
+const downloadImage = async (source, savePath) => {
+    try {
+        const buffer = Buffer.isBuffer(source) ? source : await fetchImage(source);
+        await fsPromises.writeFile(savePath, buffer);
+        return savePath;
+    } catch (error) {
+        logger.error(`Error downloading image: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = { generateImage, downloadImage };
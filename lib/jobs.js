@@ -0,0 +1,1079 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const { existsSync } = require('fs');
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logContext, logger } = require('./logger');
+const { sleep } = require('./util');
+const { createJsonStore, DATA_DIR } = require('./json-store');
+const { hashString } = require('./providers');
+const { createCacheStats, summarizeCacheStats } = require('./asset-cache');
+const {
+    MAX_SCENES, DEFAULT_LANGUAGE, getSceneCount, buildNarrationScript, generateScript, translateScript
+} = require('./script');
+const { ASPECT_RATIOS, getOutputSize, frameImage } = require('./formats');
+const { generateImage, downloadImage } = require('./images');
+const { DURATION_TOLERANCE, DURATION_FIT_ATTEMPTS, RENDER_DURATION_SLACK, fitNarration } = require('./narration');
+const { stripNarrationMarkup, buildCaptionCues, toSrt, toVtt } = require('./captions');
+const { resolveSceneMotions, getSceneWeights, buildSceneSlots, createVideo } = require('./render');
+const { mixMusicBed } = require('./music');
+const { storage, resolveResultUrls } = require('./storage');
+const { createVideoOutputs } = require('./outputs');
+const {
+    defineMetric, incrementCounter, observeHistogram, jobRunsMetric, outputDurationMetric, stageTimers,
+    finishStageTimer, startStageTimer
+} = require('./metrics');
+const { UPLOAD_DIR } = require('./uploads');
+const { hashFile, summarizeMediaInfo, recordVideo, removeVideo } = require('./videos');
+
+// Job store configuration
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const MAX_CONCURRENT_RENDERS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_RENDERS) || 1);
+const MAX_JOB_EVENTS = 100; // Events kept per job for replay to reconnecting clients
+const SSE_HEARTBEAT_INTERVAL = 15 * 1000;
+// Progress ticks arrive many times a second, so the jobs file is written at most this often
+const JOBS_SAVE_INTERVAL = 1000;
+// Finished jobs (and their batches) are forgotten this long after they finish; 0 keeps them
+const JOB_RETENTION_MS = Math.max(0, parseFloat(process.env.JOB_RETENTION_DAYS || '7')) * 24 * 60 * 60 * 1000;
+const JOB_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Share of the overall progress covered by each pipeline stage
+const JOB_STAGES = {
+    script: { start: 0, end: 10 },
+    audio: { start: 10, end: 25 },
+    images: { start: 25, end: 55 },
+    render: { start: 55, end: 85 },
+    outputs: { start: 85, end: 93 },
+    upload: { start: 93, end: 100 }
+};
+
+const jobs = new Map();
+const jobQueue = [];
+let activeRenders = 0;
+const jobsStore = createJsonStore(JOBS_FILE, 'jobs');
+let jobsSavePending = null;
+
+defineMetric('video_queue_depth', 'gauge', 'Jobs waiting for a render slot',
+    { collect: () => [{ value: jobQueue.length }] });
+defineMetric('video_active_renders', 'gauge', 'Jobs running now',
+    { collect: () => [{ value: activeRenders }] });
+defineMetric('video_jobs_stored', 'gauge', 'Stored jobs by status',
+    { collect: () => ['queued', 'processing', 'completed', 'failed'].map(status => ({ labels: { status }, value: [...jobs.values()].filter(job => job.status === status).length })) });
+
+// Live job events, keyed by job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+// Recent events per job id, for replay. They are only kept in memory: after a restart a
+// client still gets the job's current status.
+const jobEventLog = new Map();
+
+// Persist all jobs to disk, one write at a time and at most once per JOBS_SAVE_INTERVAL.
+// Changes made while a write is waiting are included in it.
+const saveJobs = () => {
+    if (!jobsSavePending) {
+        jobsSavePending = sleep(JOBS_SAVE_INTERVAL).then(() => {
+            jobsSavePending = null;
+            return jobsStore.save(() => [...jobs.values()]);
+        });
+    }
+    return jobsSavePending;
+};
+
+// Batch store
+// Batches are stored alongside the jobs they group, as expired jobs are pruned together
+// with their batch
+const BATCHES_FILE = path.join(DATA_DIR, 'batches.json');
+
+const batches = new Map();
+const batchesStore = createJsonStore(BATCHES_FILE, 'batches');
+
+const saveBatches = () => batchesStore.save(() => [...batches.values()]);
+
+const loadBatches = async () => {
+    const stored = await batchesStore.load();
+    stored.forEach(batch => batches.set(batch.id, batch));
+    logger.info(`Loaded ${stored.length} batches`);
+};
+
+const isJobFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const updateJob = (job, changes) => {
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+    saveJobs();
+};
+
+// Record a job event and push it to any connected listeners
+const emitJobEvent = (job, type, data = {}) => {
+    job.event_seq = (job.event_seq || 0) + 1;
+    const event = {
+        id: job.event_seq,
+        type,
+        data,
+        timestamp: new Date().toISOString()
+    };
+
+    const events = jobEventLog.get(job.id) || [];
+    events.push(event);
+    if (events.length > MAX_JOB_EVENTS) {
+        events.splice(0, events.length - MAX_JOB_EVENTS);
+    }
+    jobEventLog.set(job.id, events);
+
+    jobEvents.emit(job.id, event);
+    return event;
+};
+
+// Move a job to a stage and map the stage-local percent onto the overall progress
+const setJobStage = (job, stage, stagePercent = 0) => {
+    const timer = stageTimers.get(job.id);
+    if (!timer || timer.stage !== stage) startStageTimer(job, stage);
+
+    const range = JOB_STAGES[stage];
+    const clamped = Math.min(Math.max(stagePercent, 0), 100);
+    const progress = Math.floor(range.start + ((range.end - range.start) * clamped) / 100);
+    if (job.stage === stage && job.progress === progress) return;
+
+    const stageChanged = job.stage !== stage;
+    updateJob(job, { stage, progress });
+    if (stageChanged) {
+        emitJobEvent(job, 'stage', { stage, progress });
+    }
+};
+
+const serializeJob = (job) => ({
+    job_id: job.id,
+    kind: job.kind || 'generate',
+    storyboard_id: job.kind === 'storyboard' ? job.id : (job.params.storyboard ? job.params.storyboard.id : null),
+    batch_id: job.batch_id || null,
+    variant_of: job.params.variant_of || null,
+    variant_ids: job.variant_ids || [],
+    correlation_id: job.correlation_id || null,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    headline: job.params.headline,
+    target_duration: job.params.target_duration,
+    voice_type: job.params.voice_type,
+    language: job.params.language || DEFAULT_LANGUAGE,
+    aspect_ratio: job.params.aspect_ratio,
+    resolution: job.params.resolution,
+    music: job.params.music ? { source: job.params.music.source, track: job.params.music.track, volume: job.params.music.volume } : null,
+    media: job.params.media && job.params.media.length ? job.params.media.map(item => ({ type: item.type, name: item.name })) : null,
+    template: job.params.branding ? job.params.branding.name : null,
+    video_url: job.result ? job.result.video_url : null,
+    captions: job.result ? job.result.captions || null : null,
+    outputs: job.result ? job.result.outputs || null : null,
+    scenes: job.result ? job.result.scenes || null : null,
+    duration_fit: job.result ? job.result.duration_fit || null : null,
+    cache: job.result ? job.result.cache || null : null,
+    video_deleted_at: job.result ? job.result.deleted_at || null : null,
+    error: job.error,
+    upload_retryable: job.status === 'failed' && canResumeUpload(job),
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at
+});
+
+// kind is 'generate' (headline to video), 'storyboard' (script and image previews only),
+// 'render' (video from a storyboard) or 'variant' (another language's version of a video)
+const createJob = (params, { apiKeyId = null, kind = 'generate', batchId = null, correlationId = null } = {}) => {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        kind,
+        status: 'queued',
+        stage: null,
+        progress: 0,
+        params,
+        api_key_id: apiKeyId,
+        batch_id: batchId,
+        // Jobs are created while handling a request, so they keep its correlation id
+        correlation_id: correlationId || (logContext.getStore() || {}).correlation_id || null,
+        result: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        started_at: null,
+        completed_at: null,
+        artifacts: null,
+        event_seq: 0
+    };
+    jobs.set(job.id, job);
+    saveJobs();
+    return job;
+};
+
+const enqueueJob = (job) => {
+    emitJobEvent(job, 'queued', { position: jobQueue.length + 1 });
+    jobQueue.push(job.id);
+    processQueue();
+};
+
+const processQueue = () => {
+    while (activeRenders < MAX_CONCURRENT_RENDERS && jobQueue.length > 0) {
+        const job = jobs.get(jobQueue.shift());
+        if (!job) continue;
+
+        activeRenders++;
+        // The job's log lines carry the correlation id of the request that queued it
+        logContext.run({ correlation_id: job.correlation_id || job.id, job_id: job.id }, () => runJob(job)).finally(() => {
+            activeRenders--;
+            processQueue();
+        });
+    }
+};
+
+// Job workspaces
+// Every generation writes its intermediate files (images, narration, render) to its own
+// directory, so concurrent jobs never share file names.
+const WORKSPACE_ROOT = process.env.WORKSPACE_DIR || 'workspaces';
+
+const getWorkspacePath = (job) => path.join(WORKSPACE_ROOT, job.id);
+
+const createWorkspace = async (job) => {
+    const root = getWorkspacePath(job);
+    // Leftovers from an earlier attempt would be mixed up with this one's
+    await fsPromises.rm(root, { recursive: true, force: true });
+    const workspace = {
+        root,
+        images: path.join(root, 'images'),
+        audio: path.join(root, 'audio'),
+        render: path.join(root, 'render')
+    };
+    await Promise.all([workspace.images, workspace.audio, workspace.render]
+        .map(dir => fsPromises.mkdir(dir, { recursive: true })));
+    return workspace;
+};
+
+const removeWorkspace = async (job) => {
+    try {
+        await fsPromises.rm(getWorkspacePath(job), { recursive: true, force: true });
+    } catch (error) {
+        logger.error(`Error removing workspace for job ${job.id}: ${error.message}`);
+    }
+};
+
+// Remove workspaces left behind by crashes. Only a rendered video awaiting upload is kept.
+const sweepWorkspaces = async () => {
+    let entries = [];
+    try {
+        entries = await fsPromises.readdir(WORKSPACE_ROOT);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error reading workspaces: ${error.message}`);
+        }
+        return;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+        const job = jobs.get(entry);
+        if (job && canResumeUpload(job)) continue;
+        await fsPromises.rm(path.join(WORKSPACE_ROOT, entry), { recursive: true, force: true });
+        removed++;
+    }
+    logger.info(`Workspace sweep removed ${removed} stale workspaces`);
+};
+
+// Files uploaded with a job's request (music and scene media)
+const getJobUploads = (job) => [
+    ...(job.params.music && job.params.music.source === 'upload' ? [job.params.music.path] : []),
+    ...(job.params.media || []).map(item => item.path)
+];
+
+// Uploads are only needed until their job completes. Variants share their source's
+// uploads, so those stay until no unfinished job refers to them.
+const removeJobUploads = async (job) => {
+    const shared = new Set([...jobs.values()]
+        .filter(other => other.id !== job.id && other.status !== 'completed')
+        .flatMap(getJobUploads));
+    const unused = getJobUploads(job).filter(uploadPath => !shared.has(uploadPath));
+    await Promise.all(unused.map(uploadPath => fsPromises.unlink(uploadPath).catch((error) => {
+        if (error.code !== 'ENOENT') logger.error(`Error deleting upload: ${error.message}`);
+    })));
+};
+
+// Remove uploads that no unfinished job refers to
+const sweepUploads = async () => {
+    let files = [];
+    try {
+        files = await fsPromises.readdir(UPLOAD_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error reading uploads: ${error.message}`);
+        }
+        return;
+    }
+
+    const inUse = new Set([...jobs.values()]
+        .filter(job => job.status !== 'completed')
+        .flatMap(job => getJobUploads(job).map(uploadPath => path.basename(uploadPath))));
+    const stale = files.filter(file => !inUse.has(file));
+    await Promise.all(stale.map(file => fsPromises.rm(path.join(UPLOAD_DIR, file), { force: true })));
+    if (stale.length) logger.info(`Removed ${stale.length} unused uploads`);
+};
+
+// A job whose render is still on disk only needs its upload redone
+const canResumeUpload = (job) => Boolean(
+    job.artifacts && job.artifacts.video_path && existsSync(job.artifacts.video_path)
+);
+
+const runJob = async (job) => {
+    const resumeUpload = canResumeUpload(job);
+    logger.info(`Starting job ${job.id}${resumeUpload ? ' from the upload stage' : ''}`);
+    updateJob(job, {
+        status: 'processing',
+        error: null,
+        started_at: new Date().toISOString(),
+        ...(resumeUpload ? {} : { stage: null, progress: 0, artifacts: null })
+    });
+
+    try {
+        let result;
+        if (job.kind === 'storyboard') {
+            result = await runStoryboard(job);
+        } else {
+            if (!resumeUpload) {
+                await runGeneration(job, await createWorkspace(job));
+            }
+            result = await uploadJobVideo(job);
+        }
+        await removeWorkspace(job);
+        await removeJobUploads(job);
+        updateJob(job, {
+            status: 'completed',
+            progress: 100,
+            result,
+            completed_at: new Date().toISOString()
+        });
+        finishStageTimer(job, 'success');
+        incrementCounter(jobRunsMetric, { kind: job.kind || 'generate', outcome: 'completed' });
+        if (result.duration) observeHistogram(outputDurationMetric, {}, result.duration);
+        emitJobEvent(job, 'completed', result);
+        logger.info(`Job ${job.id} completed`);
+        releaseVariants(job);
+    } catch (error) {
+        logger.error(`Job ${job.id} failed: ${error.message}`);
+        finishStageTimer(job, 'failure');
+        incrementCounter(jobRunsMetric, { kind: job.kind || 'generate', outcome: 'failed' });
+        // A finished render is kept so the upload can be retried; anything else is discarded
+        if (!canResumeUpload(job)) {
+            await removeWorkspace(job);
+        }
+        updateJob(job, {
+            status: 'failed',
+            error: error.message || "An error occurred during video generation",
+            completed_at: new Date().toISOString()
+        });
+        emitJobEvent(job, 'failed', { stage: job.stage, error: job.error, upload_retryable: canResumeUpload(job) });
+        failVariants(job);
+    }
+
+    // Shared scene images go as soon as nothing needs them any more
+    const imageStoreId = getImageStoreId(job);
+    if (imageStoreId) await releaseImageStore(imageStoreId);
+};
+
+// Reload persisted jobs and requeue any that were interrupted by a restart
+const restoreJobs = async () => {
+    const storedJobs = await jobsStore.load();
+
+    const pending = [];
+    storedJobs.forEach(job => {
+        // Events used to be stored with the job; they are only kept in memory now
+        delete job.events;
+        jobs.set(job.id, job);
+    });
+    for (const job of storedJobs) {
+        if (job.status === 'queued' || job.status === 'processing') {
+            // Jobs interrupted after rendering resume their upload, everything else starts over
+            job.status = 'queued';
+            if (!canResumeUpload(job)) {
+                job.stage = null;
+                job.progress = 0;
+            }
+            pending.push(job);
+        }
+    }
+
+    pending.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    // Variants still waiting for their source are queued when it completes
+    const ready = pending.filter(job => !isWaitingForSource(job));
+    logger.info(`Restored ${storedJobs.length} jobs, requeueing ${ready.length}`);
+    saveJobs();
+    await sweepWorkspaces();
+    await sweepUploads();
+    await sweepImageStores();
+    ready.forEach(enqueueJob);
+};
+
+// Forget jobs that finished more than JOB_RETENTION_MS ago, with their files. Batch jobs
+// go together with their batch, once all of them have expired. Jobs that an unfinished
+// job still builds on (a variant's source, a render's storyboard) are kept.
+const pruneJobs = async () => {
+    if (JOB_RETENTION_MS === 0) return;
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    const unfinished = [...jobs.values()].filter(job => !isJobFinished(job));
+    const isExpired = (job) => isJobFinished(job)
+        && Date.parse(job.completed_at || job.updated_at) < cutoff
+        && !unfinished.some(other => other.params.variant_of === job.id
+            || (other.params.storyboard && other.params.storyboard.id === job.id));
+
+    let prunedBatches = 0;
+    for (const batch of [...batches.values()]) {
+        const batchJobs = batch.items.map(item => jobs.get(item.job_id)).filter(Boolean);
+        if (Date.parse(batch.created_at) < cutoff && batchJobs.every(isExpired)) {
+            batches.delete(batch.id);
+            prunedBatches++;
+        }
+    }
+
+    const expired = [...jobs.values()].filter(job => isExpired(job) && !(job.batch_id && batches.has(job.batch_id)));
+    for (const job of expired) {
+        jobs.delete(job.id);
+        jobEventLog.delete(job.id);
+        await removeWorkspace(job);
+        await removeJobUploads(job);
+    }
+    await sweepImageStores();
+
+    if (expired.length > 0 || prunedBatches > 0) {
+        logger.info(`Pruned ${expired.length} jobs and ${prunedBatches} batches finished before ${new Date(cutoff).toISOString()}`);
+        saveJobs();
+        if (prunedBatches > 0) saveBatches();
+    }
+};
+
+// Variants
+// A variant is the same story told in another language. Its job is created with the
+// source job and waits, queued, until the source completes; then it translates the
+// source's scenes and renders over the same images. If the source fails, so do its
+// waiting variants, and retrying the source puts them back to waiting.
+const createVariantJobs = (job, variants, { apiKeyId }) => {
+    const { storyboard, ...params } = job.params;
+    const variantJobs = variants.map(({ language, voice_type }) => createJob({
+        ...params,
+        language,
+        voice_type,
+        variants: [],
+        variant_of: job.id
+    }, { apiKeyId, kind: 'variant', correlationId: job.correlation_id }));
+    updateJob(job, { variant_ids: variantJobs.map(variantJob => variantJob.id) });
+    return variantJobs;
+};
+
+// How a new variant is listed in the response to the request that created it
+const serializeVariantLink = (job) => ({
+    language: job.params.language,
+    voice_type: job.params.voice_type,
+    job_id: job.id,
+    status_url: `/jobs/${job.id}`
+});
+
+const isWaitingForSource = (job) => {
+    if (job.kind !== 'variant') return false;
+    const source = jobs.get(job.params.variant_of);
+    return Boolean(source) && source.status !== 'completed';
+};
+
+const getVariantSource = (job) => {
+    const source = jobs.get(job.params.variant_of);
+    if (!source || source.status !== 'completed' || !source.result) {
+        throw new Error('The source video of this variant has not completed');
+    }
+    return source;
+};
+
+const getWaitingVariants = (job) => (job.variant_ids || [])
+    .map(id => jobs.get(id))
+    .filter(variant => variant && variant.status === 'queued' && !jobQueue.includes(variant.id));
+
+const releaseVariants = (job) => {
+    getWaitingVariants(job).forEach(enqueueJob);
+};
+
+const failVariants = (job) => {
+    for (const variant of getWaitingVariants(job)) {
+        updateJob(variant, {
+            status: 'failed',
+            error: `The source video failed: ${job.error}`,
+            source_failed: true,
+            completed_at: new Date().toISOString()
+        });
+        emitJobEvent(variant, 'failed', { stage: variant.stage, error: variant.error, upload_retryable: false });
+    }
+};
+
+// Put variants that failed only because their source did back to waiting
+const resetVariants = (job) => {
+    for (const id of job.variant_ids || []) {
+        const variant = jobs.get(id);
+        if (variant && variant.status === 'failed' && variant.source_failed) {
+            updateJob(variant, { status: 'queued', error: null, source_failed: false, completed_at: null });
+        }
+    }
+};
+
+// Storyboards
+// A storyboard job stops after the script and image previews. Its images are stored by
+// prompt and size, so rendering an edited storyboard only generates images for new prompts.
+const STORYBOARD_DIR = path.join(DATA_DIR, 'storyboards');
+
+const createSceneId = () => crypto.randomUUID().slice(0, 8);
+
+const getStoryboardImagePath = (storyboardId, prompt, size) =>
+    path.join(STORYBOARD_DIR, storyboardId, `${hashString(`${size}\n${prompt}`).toString('hex').slice(0, 24)}.png`);
+
+// The image store a job reads its scene images from: its storyboard's, or for a video
+// with language variants, the one it shares with them. Null when images stay in the
+// job's workspace.
+const getImageStoreId = (job) => {
+    if (job.kind === 'storyboard') return job.id;
+    if (job.params.storyboard) return job.params.storyboard.id;
+    if (job.kind === 'variant') {
+        const source = jobs.get(job.params.variant_of);
+        return source ? getImageStoreId(source) : job.params.variant_of;
+    }
+    return job.variant_ids && job.variant_ids.length ? job.id : null;
+};
+
+// Delete an image store once no job needs it: every job using it has finished and, for a
+// storyboard, it has been rendered at least once. A later render or retry generates the
+// images again, from the asset cache when it has them.
+const releaseImageStore = async (storeId) => {
+    const users = [...jobs.values()].filter(job => getImageStoreId(job) === storeId);
+    if (users.some(job => !isJobFinished(job))) return;
+    const owner = jobs.get(storeId);
+    if (owner && owner.kind === 'storyboard' && !users.some(job => job.kind !== 'storyboard' && job.status === 'completed')) return;
+
+    const storeDir = path.join(STORYBOARD_DIR, storeId);
+    if (!existsSync(storeDir)) return;
+    try {
+        await fsPromises.rm(storeDir, { recursive: true, force: true });
+        logger.info(`Removed image store ${storeId}`);
+    } catch (error) {
+        logger.error(`Error removing image store ${storeId}: ${error.message}`);
+    }
+};
+
+// Release image stores left behind by jobs that finished before a restart
+const sweepImageStores = async () => {
+    let entries = [];
+    try {
+        entries = await fsPromises.readdir(STORYBOARD_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error reading image stores: ${error.message}`);
+        }
+        return;
+    }
+    for (const entry of entries) {
+        await releaseImageStore(entry);
+    }
+};
+
+// Whether rendering a scene needs a new image
+const needsStoryboardImage = (storyboardId, scene, size) =>
+    Boolean(scene.regenerate) || !existsSync(getStoryboardImagePath(storyboardId, scene.image_prompt, size));
+
+// Make sure every scene has an image in the storyboard, generating only missing or regenerated ones
+const ensureStoryboardImages = async (storyboardId, scenes, size, { onProgress, cache } = {}) => {
+    const paths = scenes.map(scene => getStoryboardImagePath(storyboardId, scene.image_prompt, size));
+    const pending = [];
+    scenes.forEach((scene, i) => {
+        if (needsStoryboardImage(storyboardId, scene, size) && !pending.some(item => item.path === paths[i])) {
+            pending.push({ prompt: scene.image_prompt, path: paths[i], regenerate: Boolean(scene.regenerate) });
+        }
+    });
+
+    if (pending.length > 0) {
+        await fsPromises.mkdir(path.join(STORYBOARD_DIR, storyboardId), { recursive: true });
+        // A regenerated image must be a new one, not the cached copy
+        const images = await generateImage(pending.map(item => item.prompt), {
+            size,
+            onProgress,
+            cache,
+            refresh: pending.map(item => item.regenerate)
+        });
+        await Promise.all(images.map((image, i) => downloadImage(image, pending[i].path)));
+    }
+    logger.info(`Storyboard ${storyboardId}: generated ${pending.length} images, reused ${new Set(paths).size - pending.length}`);
+    return paths;
+};
+
+// Generate a storyboard's script and image previews
+const runStoryboard = async (job) => {
+    const { headline, target_duration: duration, aspect_ratio, language = DEFAULT_LANGUAGE, no_cache: noCache } = job.params;
+    logger.info(`Starting storyboard - Headline: ${headline}, Duration: ${duration}s, Language: ${language}`);
+    const cache = createCacheStats(!noCache);
+
+    setJobStage(job, 'script');
+    const scriptResult = await generateScript(headline, duration, { language, cache });
+    const scenes = scriptResult.scenes.map(scene => ({ id: createSceneId(), ...scene }));
+    emitJobEvent(job, 'script', { words: stripNarrationMarkup(scriptResult.script).split(' ').length, scenes: scenes.length });
+
+    setJobStage(job, 'images');
+    await ensureStoryboardImages(job.id, scenes, ASPECT_RATIOS[aspect_ratio].imageSize, {
+        onProgress: ({ index, total }) => {
+            emitJobEvent(job, 'image', { index, total });
+            setJobStage(job, 'images', (index / total) * 100);
+        },
+        cache
+    });
+
+    return { storyboard_id: job.id, scenes, cache: summarizeCacheStats(cache) };
+};
+
+// Storyboard as returned by the API, with a preview URL for each scene's image. A `token`
+// is added to the URLs so they work as <img src>.
+const serializeStoryboard = (job, { token } = {}) => {
+    const size = ASPECT_RATIOS[job.params.aspect_ratio].imageSize;
+    const query = token ? `?token=${token}` : '';
+    const scenes = job.result ? job.result.scenes.map(scene => ({
+        ...scene,
+        // Null once the images have been released after a render
+        image_url: existsSync(getStoryboardImagePath(job.id, scene.image_prompt, size))
+            ? `/storyboard/${job.id}/images/${path.basename(getStoryboardImagePath(job.id, scene.image_prompt, size))}${query}`
+            : null
+    })) : null;
+
+    return {
+        storyboard_id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        error: job.error,
+        headline: job.params.headline,
+        target_duration: job.params.target_duration,
+        voice_type: job.params.voice_type,
+        aspect_ratio: job.params.aspect_ratio,
+        script: scenes ? scenes.map(scene => scene.narration).join(' ') : null,
+        scenes,
+        cache: job.result ? job.result.cache || null : null,
+        created_at: job.created_at,
+        updated_at: job.updated_at
+    };
+};
+
+// Validate the scenes of a /render request against the storyboard. Scenes keep their
+// id (and so their image) unless they are new; omitted fields keep the storyboard's value.
+const parseStoryboardScenes = (input, existing) => {
+    if (input === undefined) return { scenes: existing.map(scene => ({ ...scene })) };
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_SCENES) {
+        return { error: `scenes must be a list of 1 to ${MAX_SCENES} scenes` };
+    }
+
+    const scenes = [];
+    for (const scene of input) {
+        if (typeof scene !== 'object' || scene === null) {
+            return { error: "Each scene must be an object" };
+        }
+        const original = scene.id !== undefined ? existing.find(candidate => candidate.id === scene.id) : null;
+        if (scene.id !== undefined && !original) {
+            return { error: `Scene ${scene.id} is not part of this storyboard` };
+        }
+
+        const narration = scene.narration !== undefined ? scene.narration : original && original.narration;
+        const imagePrompt = scene.image_prompt !== undefined ? scene.image_prompt : original && original.image_prompt;
+        if (typeof narration !== 'string' || !narration.trim()) {
+            return { error: "Each scene needs a narration" };
+        }
+        if (typeof imagePrompt !== 'string' || !imagePrompt.trim()) {
+            return { error: "Each scene needs an image_prompt" };
+        }
+        if (scene.regenerate !== undefined && typeof scene.regenerate !== 'boolean') {
+            return { error: "Scene regenerate must be true or false" };
+        }
+
+        scenes.push({
+            id: original ? original.id : createSceneId(),
+            narration: narration.trim(),
+            image_prompt: imagePrompt.trim(),
+            duration_hint: original ? original.duration_hint : null,
+            ...(scene.regenerate ? { regenerate: true } : {})
+        });
+    }
+    return { scenes };
+};
+
+// Run the generation pipeline for a job, up to a verified render in its workspace
+const runGeneration = async (job, workspace) => {
+    const { headline, target_duration: duration, voice_type, language = DEFAULT_LANGUAGE, captions: captionStyle, aspect_ratio, resolution, framing, style, music, branding, outputs, no_cache: noCache, media = [], fill_missing: fillMissing = true, storyboard } = job.params;
+    const cache = createCacheStats(!noCache);
+    const { width, height } = getOutputSize(aspect_ratio, resolution);
+
+    // Uploaded media fill scenes in order. Without AI fill-ins there is one scene per upload.
+    const sceneCount = media.length > 0
+        ? Math.min(MAX_SCENES, fillMissing ? Math.max(getSceneCount(duration), media.length) : media.length)
+        : undefined;
+    const getSceneMedia = (i) => media[i] || (!fillMissing && media.length > 0 ? media[i % media.length] : null);
+
+    logger.info(`Starting video generation - Headline: ${headline}, Duration: ${duration}s, Voice: ${voice_type}, Language: ${language}`);
+
+    // A variant translates its source video's final scenes. Images of a video with variants
+    // are kept in the storyboard image store, where its variants find them.
+    const source = job.kind === 'variant' ? getVariantSource(job) : null;
+    const imageStoreId = getImageStoreId(job);
+
+    // Generate the script and its narration, fitted to the target duration before
+    // anything else is paid for
+    setJobStage(job, 'script');
+    const audioPath = path.join(workspace.audio, 'narration.mp3');
+    const { scriptResult, narration, fit } = await fitNarration(headline, duration, audioPath, voice_type, {
+        // The audio stage starts with the first TTS call, so TTS failures are reported as audio
+        onNarrate: ({ attempt }) => {
+            if (attempt === 1) setJobStage(job, 'audio');
+        },
+        onAttempt: ({ attempt, duration: attemptDuration }) => {
+            emitJobEvent(job, 'audio', { attempt, duration: Math.round(attemptDuration * 100) / 100 });
+            setJobStage(job, 'audio', (attempt / DURATION_FIT_ATTEMPTS) * 100);
+        },
+        sceneCount,
+        language,
+        cache,
+        writeScript: source && ((wordsPerSecond) => translateScript(source.params.headline, source.result.scenes, duration, { language, wordsPerSecond, cache })),
+        // A storyboard's (possibly edited) narration is used as written
+        script: storyboard && {
+            script: buildNarrationScript(storyboard.scenes),
+            scriptParts: storyboard.scenes.map(scene => scene.narration),
+            scenes: storyboard.scenes.map(({ regenerate, ...scene }) => scene)
+        }
+    });
+    const audioDuration = narration.duration;
+    logger.info('Script and audio generated successfully');
+    emitJobEvent(job, 'script', { words: stripNarrationMarkup(scriptResult.script).split(' ').length, scenes: scriptResult.scenes.length });
+    emitJobEvent(job, 'duration', fit);
+
+    // Generate and download an image for every scene without uploaded media
+    setJobStage(job, 'images');
+    const missingScenes = scriptResult.scenes.map((scene, i) => i).filter(i => !getSceneMedia(i));
+    const onImageProgress = ({ index, total }) => {
+        emitJobEvent(job, 'image', { index, total });
+        setJobStage(job, 'images', (index / total) * 80);
+    };
+    let downloadedImages;
+    if (storyboard) {
+        // Storyboard images are reused unless their prompt changed or a regenerate was asked for
+        downloadedImages = await ensureStoryboardImages(storyboard.id, missingScenes.map(i => storyboard.scenes[i]),
+            ASPECT_RATIOS[aspect_ratio].imageSize, { onProgress: onImageProgress, cache });
+        if (storyboard.scenes.some(scene => scene.regenerate)) {
+            // A retry shouldn't regenerate them again
+            const scenes = storyboard.scenes.map(({ regenerate, ...scene }) => scene);
+            updateJob(job, { params: { ...job.params, storyboard: { ...storyboard, scenes } } });
+        }
+    } else if (imageStoreId) {
+        downloadedImages = await ensureStoryboardImages(imageStoreId, missingScenes.map(i => scriptResult.scenes[i]),
+            ASPECT_RATIOS[aspect_ratio].imageSize, { onProgress: onImageProgress, cache });
+    } else {
+        const images = missingScenes.length === 0 ? [] : await generateImage(missingScenes.map(i => scriptResult.scenes[i].image_prompt), {
+            size: ASPECT_RATIOS[aspect_ratio].imageSize,
+            onProgress: onImageProgress,
+            cache
+        });
+        logger.info(`Generated ${images.length} images for ${scriptResult.scenes.length - missingScenes.length} scenes with uploaded media`);
+
+        downloadedImages = await Promise.all(images.map((url, i) => {
+            const savePath = path.join(workspace.images, `image_${missingScenes[i] + 1}.png`);
+            return downloadImage(url, savePath);
+        }));
+        logger.info('All images downloaded successfully');
+    }
+
+    // Frame every still for the output aspect ratio; clips are framed while rendering
+    const processedImages = await Promise.all(scriptResult.scenes.map((scene, i) => {
+        const sceneMedia = getSceneMedia(i);
+        if (sceneMedia && sceneMedia.type === 'video') {
+            return { type: 'video', path: sceneMedia.path, framing };
+        }
+        const source = sceneMedia ? sceneMedia.path : downloadedImages[missingScenes.indexOf(i)];
+        return frameImage(source, path.join(workspace.images, `scene_${i + 1}.png`), { width, height, framing });
+    }));
+    logger.info(`Framed images to ${width}x${height} (${aspect_ratio}, ${framing})`);
+
+    const videoPath = path.join(workspace.render, 'output.mp4');
+
+    // A branded intro delays everything after it, and the outro adds to the length
+    const introDuration = branding && branding.intro ? branding.intro.duration : 0;
+    const outroDuration = branding && branding.outro ? branding.outro.duration : 0;
+
+    // Each image stays up while its own narration is spoken
+    const sceneWeights = getSceneWeights(narration.timeline, scriptResult.scenes, audioDuration);
+    const scenes = buildSceneSlots(sceneWeights, audioDuration).map((slot, i) => ({
+        ...scriptResult.scenes[i],
+        source: getSceneMedia(i) ? { type: getSceneMedia(i).type, name: getSceneMedia(i).name } : { type: 'image', name: 'ai' },
+        start: Math.round((introDuration + slot.start) * 100) / 100,
+        end: Math.round((introDuration + slot.end) * 100) / 100
+    }));
+
+    // Time captions against the final (possibly sped up) narration
+    let captions = null;
+    let captionFiles = null;
+    if (captionStyle) {
+        const cues = buildCaptionCues(narration.timeline);
+        captions = { cues, style: captionStyle };
+
+        captionFiles = {
+            srt: path.join(workspace.render, 'output.srt'),
+            vtt: path.join(workspace.render, 'output.vtt')
+        };
+        // Burned-in captions are timed against the scenes, caption files against the whole video
+        const fileCues = cues.map(cue => ({ ...cue, start: cue.start + introDuration, end: cue.end + introDuration }));
+        await Promise.all([
+            fsPromises.writeFile(captionFiles.srt, toSrt(fileCues)),
+            fsPromises.writeFile(captionFiles.vtt, toVtt(fileCues))
+        ]);
+        logger.info(`Generated ${cues.length} caption cues`);
+    }
+
+    // Create video with target duration
+    setJobStage(job, 'render');
+    const soundtrackPath = music
+        ? await mixMusicBed(audioPath, music, path.join(workspace.audio, 'mix.wav'), audioDuration)
+        : audioPath;
+    await createVideo(processedImages, soundtrackPath, videoPath, duration, {
+        captions,
+        sceneWeights,
+        workDir: workspace.render,
+        size: { width, height },
+        branding,
+        // Variants show the translated headline
+        headline: scriptResult.headline || headline,
+        // Clips bring their own motion
+        style: {
+            ...style,
+            motions: resolveSceneMotions(style.motion, processedImages.length)
+                .map((motion, i) => (typeof processedImages[i] === 'object' ? 'none' : motion))
+        },
+        onProgress: ({ percent, timemark }) => {
+            emitJobEvent(job, 'render', { percent: Math.round(percent * 10) / 10, timemark });
+            setJobStage(job, 'render', percent);
+        }
+    });
+    logger.info('Video created successfully');
+
+    // Verify video file exists and is valid
+    const videoStats = await fsPromises.stat(videoPath);
+    if (!videoStats.size) {
+        throw new Error('Generated video file is empty');
+    }
+
+    // Verify video file using ffprobe
+    const videoMetadata = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(videoPath, (err, metadata) => {
+            if (err) {
+                reject(new Error(`Invalid video file generated: ${err.message}`));
+                return;
+            }
+            if (!metadata.format) {
+                reject(new Error('Generated video has invalid format'));
+                return;
+            }
+            
+            // Intro and outro clips come on top of the target duration
+            const videoDuration = metadata.format.duration - introDuration - outroDuration;
+            // The narration was already fitted, so the render only has to match it
+            const targetDuration = duration;
+            const minDuration = Math.min(targetDuration * (1 - DURATION_TOLERANCE), audioDuration) - RENDER_DURATION_SLACK;
+            const maxDuration = Math.max(targetDuration * (1 + DURATION_TOLERANCE), audioDuration) + RENDER_DURATION_SLACK;
+            
+            logger.info(`Video verification - Target: ${targetDuration}s, Actual: ${videoDuration}s`);
+            
+            if (videoDuration < minDuration) {
+                reject(new Error(`Video is too short (${videoDuration.toFixed(1)}s vs target ${targetDuration}s)`));
+                return;
+            }
+            if (videoDuration > maxDuration) {
+                reject(new Error(`Video is too long (${videoDuration.toFixed(1)}s vs target ${targetDuration}s)`));
+                return;
+            }
+            
+            logger.info(`Video duration verification passed: ${videoDuration.toFixed(1)} seconds`);
+            resolve(metadata);
+        });
+    });
+    const videoInfo = {
+        sha256: await hashFile(videoPath),
+        media: summarizeMediaInfo(videoMetadata)
+    };
+
+    // Images and audio aren't needed once the video is rendered; only the render is kept
+    // in the workspace in case the upload has to be retried
+    const cleanup = async () => {
+        try {
+            await Promise.all([workspace.images, workspace.audio].map(dir => fsPromises.rm(dir, { recursive: true, force: true })));
+            logger.info('Cleanup completed successfully');
+        } catch (error) {
+            logger.error(`Error during cleanup: ${error.message}`);
+        }
+    };
+    cleanup(); // Don't await cleanup so the upload starts sooner
+
+    // Poster, preview, renditions and HLS, taken from the middle of the first scene onwards
+    let videoOutputs = null;
+    if (outputs) {
+        setJobStage(job, 'outputs');
+        videoOutputs = await createVideoOutputs(videoPath, path.join(workspace.render, 'outputs'), outputs, {
+            size: { width, height },
+            aspectRatio: aspect_ratio,
+            posterTime: (scenes[0].start + scenes[0].end) / 2,
+            onProgress: ({ name, completed, total }) => {
+                emitJobEvent(job, 'output', { name, completed, total });
+                setJobStage(job, 'outputs', (completed / total) * 100);
+            }
+        });
+    }
+
+    // Remember the render so a failed upload can be retried without re-rendering
+    const storageBase = `videos/output-${Date.now()}-${job.id.slice(0, 8)}`;
+    const outputKey = (name) => name && `${storageBase}/${name}`;
+    updateJob(job, {
+        artifacts: {
+            video_path: videoPath,
+            storage_key: `${storageBase}.mp4`,
+            upload_id: null,
+            scenes,
+            script: scriptResult.script,
+            duration_fit: fit,
+            duration: introDuration + fit.final_duration + outroDuration,
+            cache: summarizeCacheStats(cache),
+            asset_hashes: cache.assets,
+            video_info: videoInfo,
+            captions: captionFiles && {
+                srt: { path: captionFiles.srt, key: `${storageBase}.srt`, uploaded: false },
+                vtt: { path: captionFiles.vtt, key: `${storageBase}.vtt`, uploaded: false }
+            },
+            outputs: videoOutputs && {
+                poster: outputKey(videoOutputs.poster),
+                preview: outputKey(videoOutputs.preview),
+                renditions: videoOutputs.renditions.map(({ name, ...rendition }) => ({ ...rendition, key: outputKey(name) })),
+                hls: outputKey(videoOutputs.hls),
+                files: videoOutputs.files.map(file => ({ path: file.path, key: outputKey(file.name), content_type: file.content_type, uploaded: false }))
+            }
+        }
+    });
+};
+
+const CAPTION_CONTENT_TYPES = { srt: 'application/x-subrip', vtt: 'text/vtt' };
+
+// Upload a job's rendered video, resuming an interrupted multipart upload if there is one
+const uploadJobVideo = async (job) => {
+    const { video_path: videoPath, storage_key: storageKey, upload_id: uploadId } = job.artifacts;
+
+    setJobStage(job, 'upload');
+
+    // Caption files go first; ones already uploaded by an earlier attempt are skipped
+    const captionArtifacts = job.artifacts.captions;
+    if (captionArtifacts) {
+        for (const [format, caption] of Object.entries(captionArtifacts)) {
+            if (caption.uploaded) continue;
+            await storage.upload(caption.path, caption.key, { contentType: CAPTION_CONTENT_TYPES[format] });
+            caption.uploaded = true;
+            updateJob(job, { artifacts: job.artifacts });
+        }
+    }
+
+    // Then the extra outputs, in the order they were created
+    const outputArtifacts = job.artifacts.outputs;
+    if (outputArtifacts) {
+        for (const file of outputArtifacts.files) {
+            if (file.uploaded) continue;
+            await storage.upload(file.path, file.key, { contentType: file.content_type });
+            file.uploaded = true;
+            updateJob(job, { artifacts: job.artifacts });
+        }
+    }
+
+    try {
+        await storage.upload(videoPath, storageKey, {
+            contentType: 'video/mp4',
+            uploadId,
+            onUploadCreated: (newUploadId) => {
+                updateJob(job, { artifacts: { ...job.artifacts, upload_id: newUploadId } });
+            },
+            onProgress: ({ part, completed, total }) => {
+                emitJobEvent(job, 'upload', { part, completed, total });
+                setJobStage(job, 'upload', (completed / total) * 100);
+            }
+        });
+    } catch (error) {
+        // An aborted upload can't be resumed, so a retry must start a new one
+        if (!error.uploadKept) {
+            updateJob(job, { artifacts: { ...job.artifacts, upload_id: null } });
+        }
+        throw error;
+    }
+
+    logger.info(`Video uploaded to ${storage.name} storage successfully`);
+
+    const result = await resolveResultUrls({
+        video_url: null,
+        storage_key: storageKey,
+        captions: null,
+        caption_keys: captionArtifacts
+            ? { srt: captionArtifacts.srt.key, vtt: captionArtifacts.vtt.key }
+            : null,
+        outputs: null,
+        output_keys: outputArtifacts ? {
+            poster: outputArtifacts.poster,
+            preview: outputArtifacts.preview,
+            renditions: outputArtifacts.renditions,
+            hls: outputArtifacts.hls,
+            files: outputArtifacts.files.map(file => file.key)
+        } : null,
+        duration: job.artifacts.duration || (job.artifacts.duration_fit ? job.artifacts.duration_fit.final_duration : job.params.target_duration),
+        duration_fit: job.artifacts.duration_fit || null,
+        cache: job.artifacts.cache || null,
+        voice_type: job.params.voice_type,
+        scenes: job.artifacts.scenes,
+        aspect_ratio: job.params.aspect_ratio,
+        ...getOutputSize(job.params.aspect_ratio, job.params.resolution)
+    });
+    recordVideo(job, result, job.artifacts);
+    updateJob(job, { artifacts: null });
+    return result;
+};
+
+// A job's status with fresh result URLs, for every response that hands them out
+const serializeJobWithUrls = async (job) => {
+    const serialized = serializeJob(job);
+    if (!job.result) return serialized;
+    const { video_url: videoUrl, captions, outputs } = await resolveResultUrls(job.result);
+    return { ...serialized, video_url: videoUrl, captions: captions || null, outputs: outputs || null };
+};
+
+// Delete a video from the library and from storage. The job keeps its record but loses
+// its URLs.
+const deleteVideo = async (video) => {
+    await removeVideo(video);
+
+    const job = jobs.get(video.job_id);
+    // Its images may be kept for the video's variants or storyboard
+    const imageStores = new Set([job && getImageStoreId(job), video.storyboard_id, video.id].filter(Boolean));
+    for (const storeId of imageStores) {
+        await releaseImageStore(storeId);
+    }
+    if (job && job.result) {
+        updateJob(job, {
+            result: {
+                ...job.result,
+                video_url: null,
+                storage_key: null,
+                captions: null,
+                caption_keys: null,
+                outputs: null,
+                output_keys: null,
+                deleted_at: new Date().toISOString()
+            }
+        });
+    }
+    logger.info(`Deleted video ${video.id}`);
+};
+
+module.exports = {
+    SSE_HEARTBEAT_INTERVAL, JOB_PRUNE_INTERVAL, jobs, jobEvents, jobEventLog, updateJob, createJob, enqueueJob,
+    WORKSPACE_ROOT, canResumeUpload, restoreJobs, pruneJobs, createVariantJobs, serializeVariantLink,
+    isWaitingForSource, resetVariants, STORYBOARD_DIR, needsStoryboardImage, serializeStoryboard,
+    parseStoryboardScenes, serializeJobWithUrls, batches, saveBatches, loadBatches, deleteVideo
+};
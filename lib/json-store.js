@@ -0,0 +1,43 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+
+const { logger } = require('./logger');
+
+// JSON stores
+// Jobs, keys, batches, videos and the asset cache index are each kept in memory and saved
+// as a JSON array. Writes replace the file atomically (temp file, then rename) and run one
+// at a time, so an earlier write can never land after a later one. `label` names the store
+// in log lines.
+const createJsonStore = (filePath, label) => {
+    let writeChain = Promise.resolve();
+    return {
+        // Stored items, or none if the file doesn't exist yet or can't be read
+        load: async () => {
+            try {
+                return JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Error loading ${label}: ${error.message}`);
+                }
+                return [];
+            }
+        },
+        // `getItems` runs when the write starts, so it saves the latest state
+        save: (getItems) => {
+            writeChain = writeChain
+                .then(async () => {
+                    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+                    const tempPath = `${filePath}.tmp`;
+                    await fsPromises.writeFile(tempPath, JSON.stringify(getItems(), null, 2));
+                    await fsPromises.rename(tempPath, filePath);
+                })
+                .catch(error => logger.error(`Error saving ${label}: ${error.message}`));
+            return writeChain;
+        }
+    };
+};
+
+// Where the stores (except the asset cache index) and uploads are kept
+const DATA_DIR = process.env.DATA_DIR || 'data';
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,248 @@
+const path = require('path');
+const crypto = require('crypto');
+
+const { logger } = require('./logger');
+const { createJsonStore, DATA_DIR } = require('./json-store');
+const { VALID_VOICES } = require('./script');
+
+// API keys and quotas
+// Clients authenticate with an API key (X-API-Key header or Authorization: Bearer). Each key
+// carries its own quotas, and its usage is stored with the key so limits survive restarts.
+// Keys are managed through the /admin endpoints, which require ADMIN_API_KEY.
+const API_KEYS_FILE = path.join(DATA_DIR, 'api_keys.json');
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const QUOTA_WINDOWS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+const DEFAULT_QUOTAS = {
+    hourly: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '3'),
+    daily: parseInt(process.env.RATE_LIMIT_DAILY_MAX || '20'),
+    max_duration: 60,
+    voices: null // null allows every voice
+};
+
+// Access tokens
+// Browsers can't set headers on EventSource or <img src> requests, so a job's event stream
+// and storyboard image previews also accept a short-lived token in a `token` query parameter.
+// A token is signed for one key and one job id. Without ACCESS_TOKEN_SECRET the secret is
+// made at startup, so tokens stop working after a restart.
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 3600; // seconds
+
+const apiKeys = new Map(); // By id
+const apiKeysStore = createJsonStore(API_KEYS_FILE, 'API keys');
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const saveApiKeys = () => apiKeysStore.save(() => [...apiKeys.values()]);
+
+const loadApiKeys = async () => {
+    const stored = await apiKeysStore.load();
+    stored.forEach(apiKey => apiKeys.set(apiKey.id, apiKey));
+    logger.info(`Loaded ${stored.length} API keys`);
+};
+
+// Validate quota overrides for a new key, filling in defaults for the rest
+const parseQuotas = (input = {}) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return { error: 'quotas must be an object' };
+    }
+
+    const quotas = { ...DEFAULT_QUOTAS };
+    for (const field of ['hourly', 'daily', 'max_duration']) {
+        if (input[field] === undefined) continue;
+        const value = Number(input[field]);
+        if (!Number.isInteger(value) || value < 1) {
+            return { error: `quotas.${field} must be a positive integer` };
+        }
+        quotas[field] = value;
+    }
+    if (input.voices !== undefined && input.voices !== null) {
+        if (!Array.isArray(input.voices) || input.voices.length === 0 || input.voices.some(voice => !VALID_VOICES.includes(voice))) {
+            return { error: `quotas.voices must be a list of: ${VALID_VOICES.join(', ')}` };
+        }
+        quotas.voices = [...new Set(input.voices)];
+    }
+    return { quotas };
+};
+
+const createApiKey = (name, quotas) => {
+    const key = `vk_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = {
+        id: crypto.randomUUID(),
+        name,
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, 10),
+        quotas,
+        usage: [], // Generation timestamps within the longest quota window
+        total_videos: 0,
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+        revoked_at: null
+    };
+    apiKeys.set(apiKey.id, apiKey);
+    saveApiKeys();
+    return { apiKey, key };
+};
+
+const findApiKey = (key) => {
+    const keyHash = hashApiKey(key);
+    for (const apiKey of apiKeys.values()) {
+        if (apiKey.key_hash === keyHash) return apiKey;
+    }
+    return null;
+};
+
+// Remaining allowance in each quota window, tightest first
+const getQuotaStatus = (apiKey, now = Date.now()) => Object.entries(QUOTA_WINDOWS)
+    .map(([window, length]) => {
+        const used = apiKey.usage.filter(time => now - time < length);
+        const limit = apiKey.quotas[window];
+        return {
+            window,
+            limit,
+            used: used.length,
+            remaining: Math.max(0, limit - used.length),
+            // Seconds until the oldest counted generation leaves the window
+            reset: used.length ? Math.ceil((Math.min(...used) + length - now) / 1000) : 0
+        };
+    })
+    .sort((a, b) => a.remaining - b.remaining || b.reset - a.reset);
+
+const setRateLimitHeaders = (res, status) => {
+    res.set({
+        'RateLimit-Limit': String(status.limit),
+        'RateLimit-Remaining': String(status.remaining),
+        'RateLimit-Reset': String(status.reset)
+    });
+};
+
+// Count `count` generations against a key, or explain why they aren't allowed.
+// A batch is all or nothing: it needs room for every one of its videos.
+const consumeQuota = (apiKey, res, count = 1) => {
+    const now = Date.now();
+    const [tightest] = getQuotaStatus(apiKey, now);
+
+    if (tightest.remaining < count) {
+        setRateLimitHeaders(res, tightest);
+        res.set('Retry-After', String(tightest.reset));
+        const minutes = Math.ceil(tightest.reset / 60);
+        const window = tightest.window === 'hourly' ? 'Hourly' : 'Daily';
+        return {
+            allowed: false,
+            error: count > 1 && tightest.remaining > 0
+                ? `${window} quota has ${tightest.remaining} of ${tightest.limit} videos left, but ${count} were requested.`
+                : `${window} quota of ${tightest.limit} videos exceeded. Please try again in ${minutes} minutes.`
+        };
+    }
+
+    apiKey.usage = apiKey.usage.filter(time => now - time < QUOTA_WINDOWS.daily).concat(Array(count).fill(now));
+    apiKey.total_videos += count;
+    apiKey.last_used_at = new Date(now).toISOString();
+    saveApiKeys();
+
+    setRateLimitHeaders(res, getQuotaStatus(apiKey, now)[0]);
+    return { allowed: true };
+};
+
+const serializeApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    quotas: apiKey.quotas,
+    usage: {
+        ...Object.fromEntries(getQuotaStatus(apiKey).map(status => [status.window, { used: status.used, remaining: status.remaining }])),
+        total_videos: apiKey.total_videos
+    },
+    status: apiKey.revoked_at ? 'revoked' : 'active',
+    created_at: apiKey.created_at,
+    last_used_at: apiKey.last_used_at,
+    revoked_at: apiKey.revoked_at
+});
+
+const signAccessToken = (apiKeyId, resourceId, expires) => crypto.createHmac('sha256', ACCESS_TOKEN_SECRET)
+    .update(`${apiKeyId}:${resourceId}:${expires}`)
+    .digest('base64url');
+
+// Token that lets the holder read `resourceId` as the given key until it expires
+const createAccessToken = (apiKeyId, resourceId) => {
+    const expires = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL;
+    return `${apiKeyId}.${expires}.${signAccessToken(apiKeyId, resourceId, expires)}`;
+};
+
+// The key a token was signed for, or null if it is invalid, expired or for another resource
+const verifyAccessToken = (token, resourceId) => {
+    const [apiKeyId, expires, signature] = String(token).split('.');
+    if (!signature || !(parseInt(expires) > Date.now() / 1000)) return null;
+
+    const provided = Buffer.from(signature);
+    const expected = Buffer.from(signAccessToken(apiKeyId, resourceId, expires));
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+    return apiKeys.get(apiKeyId) || null;
+};
+
+// Express middleware: resolve the caller's API key into req.apiKey
+const requireApiKey = (req, res, next) => {
+    const authorization = req.get('Authorization') || '';
+    const key = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+    if (!key) {
+        return res.status(401).json({
+            success: false,
+            error: "An API key is required (X-API-Key header)"
+        });
+    }
+
+    const apiKey = findApiKey(key);
+    if (!apiKey || apiKey.revoked_at) {
+        return res.status(401).json({
+            success: false,
+            error: "Invalid or revoked API key"
+        });
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
+// Express middleware for GET routes a browser loads directly: an access token for the
+// `:id` route parameter in the `token` query parameter stands in for the API key
+const requireApiKeyOrToken = (req, res, next) => {
+    if (req.query.token === undefined) return requireApiKey(req, res, next);
+
+    const apiKey = verifyAccessToken(req.query.token, req.params.id);
+    if (!apiKey || apiKey.revoked_at) {
+        return res.status(401).json({
+            success: false,
+            error: "Invalid or expired access token"
+        });
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
+// Express middleware: only the ADMIN_API_KEY may manage keys
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_API_KEY) {
+        return res.status(503).json({
+            success: false,
+            error: "Admin API is disabled (ADMIN_API_KEY is not set)"
+        });
+    }
+
+    const provided = Buffer.from(req.get('X-Admin-Key') || '');
+    const expected = Buffer.from(ADMIN_API_KEY);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({
+            success: false,
+            error: "Invalid admin key"
+        });
+    }
+    next();
+};
+
+module.exports = {
+    apiKeys, saveApiKeys, loadApiKeys, parseQuotas, createApiKey, createAccessToken, consumeQuota, serializeApiKey,
+    requireApiKey, requireApiKeyOrToken, requireAdmin
+};
@@ -0,0 +1,24 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+// Configure logging
+// Log lines written while handling a request, or while running a job it queued, carry
+// the request's correlation_id (and the job_id) from this context
+const logContext = new AsyncLocalStorage();
+const addLogContext = winston.format((info) => Object.assign(info, logContext.getStore()));
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        addLogContext(),
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ]
+});
+
+module.exports = { logContext, logger };
@@ -0,0 +1,90 @@
+// Metrics
+// Prometheus metrics are kept in memory and rendered in the text exposition format by
+// GET /metrics. Histograms store cumulative bucket counts, as the format expects.
+const STAGE_DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+const OUTPUT_DURATION_BUCKETS = [5, 10, 15, 20, 30, 45, 60, 90, 120];
+
+const metrics = new Map();
+
+const defineMetric = (name, type, help, { buckets, collect } = {}) => {
+    const metric = { name, type, help, buckets, collect, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+};
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+const getMetricSeries = (metric, labels, create) => {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+    return metric.series.get(key);
+};
+
+const incrementCounter = (metric, labels = {}, amount = 1) => {
+    getMetricSeries(metric, labels, () => ({ value: 0 })).value += amount;
+};
+
+const observeHistogram = (metric, labels, value) => {
+    const series = getMetricSeries(metric, labels, () => ({ buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    metric.buckets.forEach((bound, i) => {
+        if (value <= bound) series.buckets[i]++;
+    });
+    series.sum += value;
+    series.count++;
+};
+
+const renderMetrics = () => [...metrics.values()].flatMap((metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+        // Gauges are read when scraped
+        metric.collect().forEach(({ labels = {}, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${value}`));
+    } else if (metric.type === 'histogram') {
+        for (const { labels, buckets, sum, count } of metric.series.values()) {
+            metric.buckets.forEach((bound, i) => lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`));
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        }
+    } else {
+        for (const { labels, value } of metric.series.values()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+    }
+    return lines;
+}).join('\n') + '\n';
+
+const stageDurationMetric = defineMetric('video_stage_duration_seconds', 'histogram',
+    'Time spent in each pipeline stage', { buckets: STAGE_DURATION_BUCKETS });
+const stageRunsMetric = defineMetric('video_stage_runs_total', 'counter',
+    'Pipeline stages finished, by stage and outcome (success or failure)');
+const jobRunsMetric = defineMetric('video_jobs_total', 'counter',
+    'Jobs finished, by kind and outcome (completed or failed)');
+const outputDurationMetric = defineMetric('video_output_duration_seconds', 'histogram',
+    'Duration of finished videos', { buckets: OUTPUT_DURATION_BUCKETS });
+
+// The stage each running job is in and when it started, keyed by job id
+const stageTimers = new Map();
+
+// Record how long a job's current stage took and how it ended
+const finishStageTimer = (job, outcome) => {
+    const timer = stageTimers.get(job.id);
+    if (!timer) return;
+    stageTimers.delete(job.id);
+    observeHistogram(stageDurationMetric, { stage: timer.stage }, (Date.now() - timer.started) / 1000);
+    incrementCounter(stageRunsMetric, { stage: timer.stage, outcome });
+};
+
+const startStageTimer = (job, stage) => {
+    finishStageTimer(job, 'success');
+    stageTimers.set(job.id, { stage, started: Date.now() });
+};
+
+module.exports = {
+    defineMetric, incrementCounter, observeHistogram, renderMetrics, jobRunsMetric, outputDurationMetric,
+    stageTimers, finishStageTimer, startStageTimer
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { existsSync } = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logger } = require('./logger');
+const { runFfmpeg } = require('./util');
+
+// Music bed configuration
+// Background music comes from the library folder (referenced by file name without the
+// extension) or from a file uploaded with the request. It is looped or trimmed to the
+// narration, faded, ducked whenever the voice is speaking, and the final mix is
+// loudness-normalized.
+const MUSIC_LIBRARY_DIR = process.env.MUSIC_LIBRARY_DIR || 'music';
+const MUSIC_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac'];
+const MUSIC_TARGET_LUFS = parseFloat(process.env.MUSIC_TARGET_LUFS || '-16');
+const MUSIC_FADE_IN = 1.5; // Seconds
+const MUSIC_FADE_OUT = 2.5; // Seconds
+const DEFAULT_MUSIC_VOLUME = -18; // dB applied to the track before ducking
+const MUSIC_VOLUME_RANGE = { min: -40, max: 0 };
+const MUSIC_MAX_UPLOAD_BYTES = parseInt(process.env.MUSIC_MAX_UPLOAD_MB || '20') * 1024 * 1024;
+
+// Find a library track by name, refusing anything that could escape the folder
+const findMusicTrack = (name) => {
+    if (!/^[\w-]+$/.test(name)) return null;
+    for (const extension of MUSIC_EXTENSIONS) {
+        const trackPath = path.join(MUSIC_LIBRARY_DIR, `${name}${extension}`);
+        if (existsSync(trackPath)) return trackPath;
+    }
+    return null;
+};
+
+const listMusicTracks = async () => {
+    try {
+        const files = await fsPromises.readdir(MUSIC_LIBRARY_DIR);
+        return files
+            .filter(file => MUSIC_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .map(file => path.basename(file, path.extname(file)))
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+// Validate the music options of a request. `music` is a library track name or an object
+// with `track` and `volume`; an uploaded file takes the place of the track.
+const parseMusicOptions = (input, uploadedFile) => {
+    if ((input === undefined || input === null || input === false) && !uploadedFile) {
+        return { options: null };
+    }
+
+    if (input !== undefined && input !== null && typeof input !== 'string' && (typeof input !== 'object' || Array.isArray(input))) {
+        return { error: "Music must be a track name or an object with track and volume" };
+    }
+    const options = typeof input === 'string' ? { track: input } : { ...(input || {}) };
+
+    const volume = options.volume === undefined ? DEFAULT_MUSIC_VOLUME : Number(options.volume);
+    if (!Number.isFinite(volume) || volume < MUSIC_VOLUME_RANGE.min || volume > MUSIC_VOLUME_RANGE.max) {
+        return { error: `Music volume must be between ${MUSIC_VOLUME_RANGE.min} and ${MUSIC_VOLUME_RANGE.max} dB` };
+    }
+
+    if (uploadedFile) {
+        if (uploadedFile.size > MUSIC_MAX_UPLOAD_BYTES) {
+            return { error: `Music file must be smaller than ${MUSIC_MAX_UPLOAD_BYTES / (1024 * 1024)} MB` };
+        }
+        return { options: { source: 'upload', track: uploadedFile.originalname, path: uploadedFile.path, volume } };
+    }
+
+    const trackPath = typeof options.track === 'string' ? findMusicTrack(options.track) : null;
+    if (!trackPath) {
+        return { error: `Music track not found in the library: ${options.track}` };
+    }
+    return { options: { source: 'library', track: options.track, path: trackPath, volume } };
+};
+
+// Mix a music bed under the narration and normalize the result
+const mixMusicBed = async (narrationPath, music, outputPath, duration) => {
+    logger.info(`Mixing music bed "${music.track}" at ${music.volume} dB under the narration`);
+    const fadeOutStart = Math.max(0, duration - MUSIC_FADE_OUT);
+
+    try {
+        await runFfmpeg(ffmpeg()
+            .input(narrationPath)
+            .input(music.path)
+            .inputOptions(['-stream_loop -1']) // Loop short tracks; atrim cuts long ones
+            .complexFilter([
+                `[1:a]atrim=0:${duration.toFixed(3)},asetpts=PTS-STARTPTS,aformat=sample_rates=48000:channel_layouts=stereo,volume=${music.volume}dB,` +
+                    `afade=t=in:st=0:d=${MUSIC_FADE_IN},afade=t=out:st=${fadeOutStart.toFixed(3)}:d=${MUSIC_FADE_OUT}[music]`,
+                '[0:a]aformat=sample_rates=48000:channel_layouts=stereo,asplit=2[voice][sidechain]',
+                // Duck the music while the voice is above the threshold
+                '[music][sidechain]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked]',
+                `[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0,loudnorm=I=${MUSIC_TARGET_LUFS}:TP=-1.5:LRA=11,aformat=sample_rates=48000:channel_layouts=stereo[mix]`
+            ], 'mix')
+            .outputOptions([`-t ${duration.toFixed(3)}`, '-c:a pcm_s16le']), outputPath);
+        logger.info(`Music mix normalized to ${MUSIC_TARGET_LUFS} LUFS`);
+        return outputPath;
+    } catch (error) {
+        logger.error(`Error mixing music bed: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = { MUSIC_EXTENSIONS, listMusicTracks, parseMusicOptions, mixMusicBed, MUSIC_MAX_UPLOAD_BYTES };
@@ -0,0 +1,304 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { existsSync } = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logger } = require('./logger');
+const { buildWav, mapWithConcurrency, runFfmpeg } = require('./util');
+const { providers } = require('./providers');
+const { withAssetCache } = require('./asset-cache');
+const { DEFAULT_LANGUAGE, LANGUAGES, trimSceneNarration, buildNarrationScript, generateScript } = require('./script');
+
+// Narration markup
+// Scripts may use a small SSML-like markup that the audio stage honours:
+//   <break time="0.3s"/>                 silence, in s or ms (at most MAX_BREAK_SECONDS)
+//   <emphasis>words</emphasis>           spoken a little slower
+//   <prosody rate="1.2">words</prosody>  speed for a segment (number or percentage)
+//   <mark name="scene-2"/>               records when this point is reached
+// Any other tag is dropped so it's never read aloud.
+const NARRATION_SAMPLE_RATE = 24000;
+const EMPHASIS_SPEED = 0.9;
+const TTS_SPEED_RANGE = { min: 0.25, max: 4.0 };
+const TTS_CONCURRENCY = 4; // Segments synthesized at the same time
+const MAX_BREAK_SECONDS = 5; // Longest single pause; longer breaks are clamped
+
+const parseBreakTime = (value) => {
+    const match = /^\s*([\d.]+)\s*(ms|s)?\s*$/i.exec(value || '');
+    if (!match) return 0;
+    const amount = parseFloat(match[1]);
+    const seconds = match[2] && match[2].toLowerCase() === 'ms' ? amount / 1000 : amount;
+    return Math.min(MAX_BREAK_SECONDS, seconds) || 0;
+};
+
+const parseProsodyRate = (value) => {
+    const match = /^\s*([\d.]+)\s*(%)?\s*$/.exec(value || '');
+    if (!match) return 1;
+    return match[2] ? parseFloat(match[1]) / 100 : parseFloat(match[1]);
+};
+
+// Turn a marked-up script into speech, pause and mark items in order
+const parseNarrationMarkup = (script) => {
+    const items = [];
+    const speedStack = [1];
+    let emphasisDepth = 0;
+
+    const pushSpeech = (text) => {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        if (!clean) return;
+        const emphasis = emphasisDepth > 0;
+        const speed = Math.min(TTS_SPEED_RANGE.max, Math.max(TTS_SPEED_RANGE.min,
+            speedStack[speedStack.length - 1] * (emphasis ? EMPHASIS_SPEED : 1)));
+
+        const previous = items[items.length - 1];
+        if (previous && previous.type === 'speech' && previous.speed === speed && previous.emphasis === emphasis) {
+            previous.text += ` ${clean}`;
+        } else {
+            items.push({ type: 'speech', text: clean, speed, emphasis });
+        }
+    };
+
+    const tagPattern = /<\s*(\/?)\s*([a-zA-Z]+)([^>]*?)\/?\s*>/g;
+    let lastIndex = 0;
+    for (const match of script.matchAll(tagPattern)) {
+        pushSpeech(script.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        const [, closing, rawName, attributes] = match;
+        const attribute = (key) => {
+            const found = new RegExp(`${key}\\s*=\\s*["']([^"']*)["']`, 'i').exec(attributes);
+            return found ? found[1] : null;
+        };
+
+        switch (rawName.toLowerCase()) {
+            case 'break': {
+                const duration = parseBreakTime(attribute('time'));
+                const previous = items[items.length - 1];
+                if (duration <= 0) break;
+                if (previous && previous.type === 'pause') previous.duration += duration;
+                else items.push({ type: 'pause', duration });
+                break;
+            }
+            case 'mark':
+                if (!closing) items.push({ type: 'mark', name: attribute('name') });
+                break;
+            case 'emphasis':
+                emphasisDepth = Math.max(0, emphasisDepth + (closing ? -1 : 1));
+                break;
+            case 'prosody':
+                if (closing) {
+                    if (speedStack.length > 1) speedStack.pop();
+                } else {
+                    speedStack.push(speedStack[speedStack.length - 1] * parseProsodyRate(attribute('rate')));
+                }
+                break;
+            default:
+                break;
+        }
+    }
+    pushSpeech(script.slice(lastIndex));
+
+    return items;
+};
+
+// Decode any audio file to raw 16-bit mono PCM at the narration sample rate
+const decodeToPcm = async (inputPath) => {
+    const pcmPath = `${inputPath}.pcm`;
+    await runFfmpeg(ffmpeg(inputPath)
+        .audioChannels(1)
+        .audioFrequency(NARRATION_SAMPLE_RATE)
+        .outputOptions(['-f s16le', '-acodec pcm_s16le']), pcmPath);
+    return fsPromises.readFile(pcmPath);
+};
+
+// Synthesize narration segment by segment, joined with real silence for breaks.
+// Returns the audio duration and a timeline of speech, pause and mark items. Scripts whose
+// pauses alone add up to more than `maxPause` seconds are rejected before any audio is made.
+const generateAudio = async (script, outputPath, voiceType = "alloy", { cache, maxPause = Infinity } = {}) => {
+    logger.info("Starting audio generation");
+    const segmentDir = `${outputPath}_segments`;
+    try {
+        const items = parseNarrationMarkup(script);
+        const speechItems = items.filter(item => item.type === 'speech');
+        if (speechItems.length === 0) {
+            throw new Error('Narration script has no text to speak');
+        }
+        const totalPause = items.reduce((sum, item) => sum + (item.type === 'pause' ? item.duration : 0), 0);
+        if (totalPause > maxPause) {
+            throw new Error(`Narration breaks add up to ${totalPause.toFixed(1)}s, longer than the ${maxPause}s target`);
+        }
+        await fsPromises.mkdir(segmentDir, { recursive: true });
+
+        // Only clean text reaches the TTS model
+        logger.info(`Synthesizing ${speechItems.length} narration segments`);
+        const speechPcm = await mapWithConcurrency(speechItems, TTS_CONCURRENCY, async (item, i) => {
+            const params = { text: item.text, voice: voiceType, speed: item.speed };
+            const { buffer, format } = await withAssetCache('audio', providers.speech, params, cache, () =>
+                providers.speech.synthesize(item.text, { voice: voiceType, speed: item.speed }));
+            const segmentPath = path.join(segmentDir, `segment_${i}.${format}`);
+            await fsPromises.writeFile(segmentPath, buffer);
+            return decodeToPcm(segmentPath);
+        });
+
+        // Join segments and silence, recording where each item lands
+        const chunks = [];
+        const timeline = [];
+        let samples = 0;
+        let speechIndex = 0;
+        for (const item of items) {
+            const start = samples / NARRATION_SAMPLE_RATE;
+            if (item.type === 'mark') {
+                timeline.push({ type: 'mark', name: item.name, start, end: start });
+                continue;
+            }
+
+            const pcm = item.type === 'pause'
+                ? Buffer.alloc(Math.round(item.duration * NARRATION_SAMPLE_RATE) * 2)
+                : speechPcm[speechIndex++];
+            chunks.push(pcm);
+            samples += pcm.length / 2;
+            timeline.push({
+                type: item.type,
+                ...(item.type === 'speech' ? { text: item.text } : {}),
+                start,
+                end: samples / NARRATION_SAMPLE_RATE
+            });
+        }
+
+        const wavPath = path.join(segmentDir, 'narration.wav');
+        await fsPromises.writeFile(wavPath, buildWav(Buffer.concat(chunks), NARRATION_SAMPLE_RATE));
+        await runFfmpeg(ffmpeg(wavPath).audioCodec('libmp3lame'), outputPath);
+
+        const audioData = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(outputPath, (err, metadata) => {
+                if (err) reject(err);
+                else resolve(metadata);
+            });
+        });
+        const audioDuration = audioData.format.duration;
+
+        logger.info(`Audio generation completed successfully (${audioDuration.toFixed(2)} seconds)`);
+        return { path: outputPath, duration: audioDuration, timeline };
+    } catch (error) {
+        logger.error(`Error generating audio: ${error.message}`);
+        if (existsSync(outputPath)) {
+            await fsPromises.unlink(outputPath);
+        }
+        throw error;
+    } finally {
+        await fsPromises.rm(segmentDir, { recursive: true, force: true }).catch(() => {});
+    }
+};
+
+// Duration fitting configuration
+const DURATION_TOLERANCE = parseFloat(process.env.DURATION_TOLERANCE || '0.1'); // Allowed deviation from target_duration, as a fraction
+const DURATION_FIT_ATTEMPTS = parseInt(process.env.DURATION_FIT_ATTEMPTS || '3'); // Narrations generated before falling back to tempo and padding
+const TEMPO_RANGE = { min: 0.9, max: 1.15 }; // atempo factors that still sound natural
+const RENDER_DURATION_SLACK = 0.1; // Seconds a render may drift from the narration (frame rounding)
+
+const isWithinTolerance = (duration, targetDuration) =>
+    Math.abs(duration - targetDuration) <= targetDuration * DURATION_TOLERANCE;
+
+// Run a single-input audio filter over an mp3 in place
+const filterAudio = async (audioPath, filters, outputOptions = []) => {
+    const tempPath = `${audioPath}.temp.mp3`;
+    await runFfmpeg(ffmpeg(audioPath).audioFilters(filters).outputOptions(outputOptions), tempPath);
+    await fsPromises.rename(tempPath, audioPath);
+
+    const audioData = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(audioPath, (err, metadata) => {
+            if (err) reject(err);
+            else resolve(metadata);
+        });
+    });
+    return audioData.format.duration;
+};
+
+// Produce narration that lands within DURATION_TOLERANCE of the target. The script is
+// regenerated with more words when narration runs short and trimmed when it runs long;
+// whatever is left is closed with a gentle tempo change and then trailing silence,
+// which holds the last scene on screen. A `script` passed in (an edited storyboard) is
+// never rewritten, so only tempo and padding apply to it. `writeScript(wordsPerSecond)`
+// replaces how scripts are written (variants translate instead). `onNarrate` runs before
+// each narration attempt and `onAttempt` after it. `cache` collects the job's asset cache
+// hits and misses.
+const fitNarration = async (headline, targetDuration, audioPath, voiceType, { onNarrate, onAttempt, sceneCount, script, writeScript, language = DEFAULT_LANGUAGE, cache } = {}) => {
+    let wordsPerSecond = LANGUAGES[language].words_per_second;
+    const rewrite = writeScript || (script ? null : (rate) => generateScript(headline, targetDuration, { language, wordsPerSecond: rate, sceneCount, cache }));
+    let scriptResult = script || await rewrite(wordsPerSecond);
+    let narration;
+    let attempts = 0;
+
+    while (true) {
+        attempts++;
+        if (onNarrate) onNarrate({ attempt: attempts });
+        narration = await generateAudio(scriptResult.script, audioPath, voiceType, { cache, maxPause: targetDuration });
+        if (onAttempt) onAttempt({ attempt: attempts, duration: narration.duration });
+
+        const tempo = narration.duration / targetDuration;
+        const fitsWithTempo = tempo >= TEMPO_RANGE.min && tempo <= TEMPO_RANGE.max;
+        if (isWithinTolerance(narration.duration, targetDuration) || fitsWithTempo || !rewrite || attempts >= DURATION_FIT_ATTEMPTS) {
+            break;
+        }
+
+        if (tempo > 1) {
+            // Too long: keep the same script and drop words from every scene
+            const wordCount = scriptResult.scenes.reduce((sum, scene) => sum + scene.narration.split(' ').length, 0);
+            const scenes = trimSceneNarration(scriptResult.scenes, Math.floor(wordCount / tempo));
+            logger.info(`Narration too long (${narration.duration.toFixed(2)}s), trimming to fit ${targetDuration}s`);
+            scriptResult = { ...scriptResult, script: buildNarrationScript(scenes), scriptParts: scenes.map(scene => scene.narration), scenes };
+        } else {
+            // Too short: ask for a longer script
+            wordsPerSecond /= tempo;
+            logger.info(`Narration too short (${narration.duration.toFixed(2)}s), regenerating at ${wordsPerSecond.toFixed(2)} words per second`);
+            scriptResult = await rewrite(wordsPerSecond);
+        }
+    }
+
+    const initialDuration = narration.duration;
+    let duration = initialDuration;
+    let speedFactor = 1;
+    let padding = 0;
+
+    if (!isWithinTolerance(duration, targetDuration)) {
+        speedFactor = Math.round(Math.min(TEMPO_RANGE.max, Math.max(TEMPO_RANGE.min, duration / targetDuration)) * 100) / 100;
+        logger.info(`Adjusting audio speed by factor ${speedFactor}`);
+        duration = await filterAudio(audioPath, `atempo=${speedFactor}`);
+    }
+
+    // Keep the timeline in step with the speed change
+    const timeScale = duration / initialDuration;
+    const timeline = narration.timeline.map(entry => ({
+        ...entry,
+        start: entry.start * timeScale,
+        end: entry.end * timeScale
+    }));
+
+    if (duration < targetDuration * (1 - DURATION_TOLERANCE)) {
+        const spokenDuration = duration;
+        duration = await filterAudio(audioPath, 'apad', [`-t ${targetDuration}`]);
+        padding = Math.round((duration - spokenDuration) * 100) / 100;
+        logger.info(`Padded narration with ${padding}s of silence`);
+    }
+
+    const fit = {
+        target_duration: targetDuration,
+        tolerance: DURATION_TOLERANCE,
+        initial_duration: Math.round(initialDuration * 100) / 100,
+        final_duration: Math.round(duration * 100) / 100,
+        speed_factor: speedFactor,
+        padding,
+        attempts
+    };
+
+    if (!isWithinTolerance(duration, targetDuration)) {
+        throw new Error(`Narration is too long (${duration.toFixed(1)}s vs target ${targetDuration}s) even at the fastest natural tempo${rewrite ? '' : '; shorten the storyboard narration'}`);
+    }
+
+    logger.info(`Narration fitted: ${fit.initial_duration}s -> ${fit.final_duration}s for target ${targetDuration}s`);
+    return { scriptResult, narration: { ...narration, duration, timeline }, fit };
+};
+
+module.exports = {
+    MAX_BREAK_SECONDS, parseBreakTime, parseNarrationMarkup, DURATION_TOLERANCE, DURATION_FIT_ATTEMPTS,
+    RENDER_DURATION_SLACK, fitNarration
+};
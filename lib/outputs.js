@@ -0,0 +1,210 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logger } = require('./logger');
+const { isTableKey, runFfmpeg } = require('./util');
+const { RESOLUTIONS, getOutputSize, VIDEO_FPS } = require('./formats');
+const { S3_PRIVATE_BUCKET, storage } = require('./storage');
+
+// Extra outputs
+// Besides the main render, a job can ask for a poster frame, a short animated GIF preview,
+// MP4 renditions at lower resolutions and an HLS package of those renditions. Renditions
+// are encoded properly (unlike the fast main render) with a fixed keyframe interval, so
+// HLS segments are cut from them without re-encoding.
+const RENDITION_PRESET = process.env.RENDITION_PRESET || 'medium';
+const RENDITION_SETTINGS = {
+    '1080p': { crf: 23, maxrate: 5000, audio_bitrate: 128 },
+    '720p': { crf: 23, maxrate: 2800, audio_bitrate: 128 },
+    '480p': { crf: 24, maxrate: 1200, audio_bitrate: 96 }
+}; // Bitrates in kbps
+const RENDITION_CODECS = 'avc1.4d4028,mp4a.40.2'; // H.264 Main@4.0 and AAC-LC, as encoded below
+const HLS_SEGMENT_SECONDS = 4;
+const KEYFRAME_INTERVAL = 2; // Seconds; segments are cut on keyframes, so this must divide HLS_SEGMENT_SECONDS
+const PREVIEW_SECONDS = 3;
+const PREVIEW_FPS = 10;
+const PREVIEW_SHORT_SIDE = 240;
+const OUTPUT_CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t'
+};
+
+// Validate the `outputs` request field. Renditions can't be larger than the main render;
+// `renditions: true` (or HLS without a list) means every resolution up to it.
+const parseOutputOptions = (input, resolution) => {
+    if (input === undefined || input === null || input === false) return { options: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: "outputs must be an object" };
+    }
+
+    const { poster = false, preview = false, hls = false } = input;
+    for (const [name, value] of Object.entries({ poster, preview, hls })) {
+        if (typeof value !== 'boolean') {
+            return { error: `outputs.${name} must be true or false` };
+        }
+    }
+
+    const available = Object.keys(RESOLUTIONS).filter(name => RESOLUTIONS[name] <= RESOLUTIONS[resolution]);
+    let renditions = input.renditions === undefined ? false : input.renditions;
+    if (renditions === true || (renditions === false && hls)) {
+        renditions = available;
+    } else if (renditions === false) {
+        renditions = [];
+    } else if (!Array.isArray(renditions) || renditions.some(name => !isTableKey(RESOLUTIONS, name))) {
+        return { error: `outputs.renditions must be true or a list of: ${Object.keys(RESOLUTIONS).join(', ')}` };
+    } else if (renditions.some(name => !available.includes(name))) {
+        return { error: `outputs.renditions can't be larger than the ${resolution} resolution` };
+    }
+    if (hls && renditions.length === 0) {
+        return { error: "outputs.hls needs at least one rendition" };
+    }
+    // Playlists name their segments by relative path, and presigned URLs can't be relative
+    if (hls && S3_PRIVATE_BUCKET && storage.name !== 'local') {
+        return { error: "outputs.hls needs a public bucket or CDN; it can't be used with S3_PRIVATE_BUCKET" };
+    }
+
+    if (!poster && !preview && renditions.length === 0) return { options: null };
+    return {
+        options: {
+            poster,
+            preview,
+            // Largest first, which is also the order HLS players prefer
+            renditions: available.filter(name => renditions.includes(name)),
+            hls
+        }
+    };
+};
+
+const extractPoster = (videoPath, outputPath, time) => runFfmpeg(ffmpeg(videoPath)
+    .inputOptions([`-ss ${time.toFixed(2)}`])
+    .outputOptions(['-frames:v 1', '-q:v 2']), outputPath);
+
+// A short GIF with its own palette, so it doesn't band like the default 256-color one
+const createPreviewGif = (videoPath, outputPath, start, { width, height }) => {
+    const scale = PREVIEW_SHORT_SIDE / Math.min(width, height);
+    const even = (value) => Math.round(value / 2) * 2;
+    return runFfmpeg(ffmpeg(videoPath)
+        .inputOptions([`-ss ${start.toFixed(2)}`, `-t ${PREVIEW_SECONDS}`])
+        .complexFilter([
+            `[0:v]fps=${PREVIEW_FPS},scale=${even(width * scale)}:${even(height * scale)}:flags=lanczos,split[frames][source]`,
+            '[source]palettegen=stats_mode=diff[palette]',
+            '[frames][palette]paletteuse=dither=bayer:bayer_scale=3'
+        ])
+        .outputOptions(['-loop 0']), outputPath);
+};
+
+const encodeRendition = (videoPath, outputPath, resolution, { width, height }) => {
+    const settings = RENDITION_SETTINGS[resolution];
+    const gop = VIDEO_FPS * KEYFRAME_INTERVAL;
+    return runFfmpeg(ffmpeg(videoPath)
+        .videoFilters(`scale=${width}:${height}:flags=lanczos`)
+        .outputOptions([
+            '-c:v libx264',
+            `-preset ${RENDITION_PRESET}`,
+            `-crf ${settings.crf}`,
+            `-maxrate ${settings.maxrate}k`,
+            `-bufsize ${settings.maxrate * 2}k`,
+            '-profile:v main',
+            '-level 4.0',
+            '-pix_fmt yuv420p',
+            `-r ${VIDEO_FPS}`,
+            `-g ${gop}`,
+            `-keyint_min ${gop}`,
+            '-sc_threshold 0',
+            '-c:a aac',
+            `-b:a ${settings.audio_bitrate}k`,
+            '-movflags +faststart'
+        ]), outputPath);
+};
+
+// Cut a rendition into HLS segments without re-encoding
+const segmentRendition = (renditionPath, playlistPath) => runFfmpeg(ffmpeg(renditionPath)
+    .outputOptions([
+        '-c copy',
+        '-f hls',
+        `-hls_time ${HLS_SEGMENT_SECONDS}`,
+        '-hls_playlist_type vod',
+        `-hls_segment_filename ${path.join(path.dirname(playlistPath), 'segment_%03d.ts')}`
+    ]), playlistPath);
+
+// Master playlist listing every rendition's playlist. BANDWIDTH is the encoder's peak rate.
+const buildHlsMasterPlaylist = (renditions) => [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap(rendition => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${(RENDITION_SETTINGS[rendition.resolution].maxrate + RENDITION_SETTINGS[rendition.resolution].audio_bitrate) * 1000},` +
+            `AVERAGE-BANDWIDTH=${rendition.bit_rate},RESOLUTION=${rendition.width}x${rendition.height},` +
+            `CODECS="${RENDITION_CODECS}",FRAME-RATE=${VIDEO_FPS.toFixed(3)}`,
+        `${rendition.resolution}/index.m3u8`
+    ])
+].join('\n') + '\n';
+
+// Produce the requested outputs of a rendered video in outputDir. Returns every file to
+// upload by its name within outputDir, plus which names are the poster, preview, renditions
+// and HLS master playlist.
+const createVideoOutputs = async (videoPath, outputDir, outputs, { size, aspectRatio, posterTime, onProgress }) => {
+    try {
+        const steps = [outputs.poster, outputs.preview, ...outputs.renditions, ...(outputs.hls ? outputs.renditions : [])].filter(Boolean).length;
+        let completed = 0;
+        const step = (name) => {
+            completed++;
+            if (onProgress) onProgress({ name, completed, total: steps });
+        };
+
+        const result = { poster: null, preview: null, renditions: [], hls: null, files: [] };
+        const addFile = (name) => {
+            result.files.push({ name, path: path.join(outputDir, name), content_type: OUTPUT_CONTENT_TYPES[path.extname(name)] });
+            return name;
+        };
+        await fsPromises.mkdir(outputDir, { recursive: true });
+
+        if (outputs.poster) {
+            await extractPoster(videoPath, path.join(outputDir, 'poster.jpg'), posterTime);
+            result.poster = addFile('poster.jpg');
+            step('poster');
+        }
+        if (outputs.preview) {
+            await createPreviewGif(videoPath, path.join(outputDir, 'preview.gif'), posterTime, size);
+            result.preview = addFile('preview.gif');
+            step('preview');
+        }
+
+        for (const resolution of outputs.renditions) {
+            const size = getOutputSize(aspectRatio, resolution);
+            const renditionPath = await encodeRendition(videoPath, path.join(outputDir, `${resolution}.mp4`), resolution, size);
+            const bitRate = await new Promise((resolve, reject) => {
+                ffmpeg.ffprobe(renditionPath, (err, metadata) => {
+                    if (err) reject(err);
+                    else resolve(parseInt(metadata.format.bit_rate) || 0);
+                });
+            });
+            result.renditions.push({ resolution, ...size, bit_rate: bitRate, name: addFile(`${resolution}.mp4`) });
+            step(`rendition_${resolution}`);
+        }
+
+        if (outputs.hls) {
+            for (const rendition of result.renditions) {
+                const playlistDir = path.join(outputDir, 'hls', rendition.resolution);
+                await fsPromises.mkdir(playlistDir, { recursive: true });
+                await segmentRendition(path.join(outputDir, rendition.name), path.join(playlistDir, 'index.m3u8'));
+                const segments = (await fsPromises.readdir(playlistDir)).filter(file => file.endsWith('.ts')).sort();
+                [...segments, 'index.m3u8'].forEach(file => addFile(`hls/${rendition.resolution}/${file}`));
+                step(`hls_${rendition.resolution}`);
+            }
+            await fsPromises.writeFile(path.join(outputDir, 'hls', 'master.m3u8'), buildHlsMasterPlaylist(result.renditions));
+            // The master playlist goes last, so it never points at missing playlists
+            result.hls = addFile('hls/master.m3u8');
+        }
+
+        logger.info(`Created ${result.files.length} output files`);
+        return result;
+    } catch (error) {
+        logger.error(`Error creating video outputs: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = { parseOutputOptions, createVideoOutputs };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const sharp = require('sharp');
+
+const { logger } = require('./logger');
+const { buildWav } = require('./util');
+
+// AI provider configuration
+// Each capability (text, image, speech) can use its own provider, model, base URL and key,
+// falling back to AI_PROVIDER / OPENAI_BASE_URL / OPENAI_API_KEY.
+const getProviderConfig = (capability, defaultModel) => {
+    const prefix = capability.toUpperCase();
+    return {
+        provider: process.env[`${prefix}_PROVIDER`] || process.env.AI_PROVIDER || 'openai',
+        model: process.env[`${prefix}_MODEL`] || defaultModel,
+        baseURL: process.env[`${prefix}_BASE_URL`] || process.env.OPENAI_BASE_URL,
+        apiKey: process.env[`${prefix}_API_KEY`] || process.env.OPENAI_API_KEY
+    };
+};
+
+// OpenAI clients are shared between capabilities that point at the same server
+const openaiClients = new Map();
+const getOpenAIClient = ({ apiKey, baseURL }) => {
+    const clientKey = `${baseURL || ''}|${apiKey || ''}`;
+    if (!openaiClients.has(clientKey)) {
+        openaiClients.set(clientKey, new OpenAI({
+            // Local OpenAI-compatible servers usually don't check the key
+            apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+            baseURL
+        }));
+    }
+    return openaiClients.get(clientKey);
+};
+
+// Deterministic hash used by the fixture provider to vary its output per input
+const hashString = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const FIXTURE_SCENE_SECONDS = 5; // Duration hint of every fixture scene
+const FIXTURE_SENTENCES = [
+    'The story begins on a quiet morning as people gather to hear the latest news.',
+    'Local residents share their thoughts about what this change means for the community.',
+    'Experts say the impact could be felt for many years to come across the region.',
+    'Behind the headlines, families and workers are adjusting to a new daily routine.',
+    'Officials promise more updates as the situation continues to develop this week.',
+    'For now, everyone is watching closely to see what happens next.'
+];
+
+// Build a 16-bit mono WAV with a short tone per word and silence between words
+const FIXTURE_SAMPLE_RATE = 22050;
+const synthesizeFixtureWav = (text, speed = 1.0) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    const toneSeconds = 0.3 / speed;
+    const gapSeconds = 0.1 / speed;
+    const toneSamples = Math.round(toneSeconds * FIXTURE_SAMPLE_RATE);
+    const gapSamples = Math.round(gapSeconds * FIXTURE_SAMPLE_RATE);
+    const totalSamples = Math.max(words.length, 1) * (toneSamples + gapSamples);
+
+    const pcm = Buffer.alloc(totalSamples * 2);
+
+    let offset = 0;
+    words.forEach((word) => {
+        // Pitch varies with the word so different scripts sound different
+        const frequency = 220 + (hashString(word)[0] % 8) * 55;
+        for (let i = 0; i < toneSamples; i++) {
+            const sample = Math.sin((2 * Math.PI * frequency * i) / FIXTURE_SAMPLE_RATE) * 0.2;
+            pcm.writeInt16LE(Math.round(sample * 32767), offset);
+            offset += 2;
+        }
+        offset += gapSamples * 2; // Buffer.alloc is zero-filled, so this is silence
+    });
+
+    return buildWav(pcm, FIXTURE_SAMPLE_RATE);
+};
+
+const textProviders = {
+    openai: (config) => {
+        const client = getOpenAIClient(config);
+        return {
+            name: 'openai',
+            model: config.model,
+            complete: async (messages, { json = false } = {}) => {
+                const response = await client.chat.completions.create({
+                    model: config.model,
+                    messages,
+                    ...(json ? { response_format: { type: 'json_object' } } : {})
+                });
+                return response.choices[0].message.content;
+            }
+        };
+    },
+    fixture: (config) => ({
+        name: 'fixture',
+        model: config.model,
+        complete: async (messages, { json = false } = {}) => {
+            const prompt = messages.map(message => message.content).join('\n');
+            const start = hashString(prompt)[0] % FIXTURE_SENTENCES.length;
+            const sentence = (i) => FIXTURE_SENTENCES[(start + i) % FIXTURE_SENTENCES.length];
+            if (!json) {
+                return Array.from({ length: FIXTURE_SENTENCES.length }, (_, i) => sentence(i)).join(' ');
+            }
+
+            // Answer scene requests with as many scenes as the prompt asks for
+            const sceneMatch = prompt.match(/exactly (\d+) scenes/);
+            const sceneCount = sceneMatch ? parseInt(sceneMatch[1]) : 3;
+            return JSON.stringify({
+                scenes: Array.from({ length: sceneCount }, (_, i) => ({
+                    narration: sentence(i),
+                    visual_prompt: `Placeholder scene ${i + 1}`,
+                    duration: FIXTURE_SCENE_SECONDS
+                }))
+            });
+        }
+    })
+};
+
+const imageProviders = {
+    // Returns a URL (or a Buffer when the server only sends base64 data)
+    openai: (config) => {
+        const client = getOpenAIClient(config);
+        return {
+            name: 'openai',
+            model: config.model,
+            generate: async (prompt, { size, quality }) => {
+                const response = await client.images.generate({
+                    model: config.model,
+                    prompt,
+                    size,
+                    quality,
+                    n: 1
+                });
+                const image = response.data[0];
+                return image.url || Buffer.from(image.b64_json, 'base64');
+            }
+        };
+    },
+    fixture: (config) => ({
+        name: 'fixture',
+        model: config.model,
+        generate: async (prompt, { size }) => {
+            const [width, height] = size.split('x').map(Number);
+            const hash = hashString(prompt);
+            const label = prompt.length > 40 ? `${prompt.slice(0, 37)}...` : prompt;
+            const overlay = Buffer.from(
+                `<svg width="${width}" height="${height}">` +
+                `<text x="50%" y="50%" font-size="${Math.round(width / 30)}" fill="#ffffff" text-anchor="middle">${escapeXml(label)}</text>` +
+                `</svg>`
+            );
+
+            return sharp({
+                create: {
+                    width,
+                    height,
+                    channels: 3,
+                    background: { r: hash[0], g: hash[1], b: hash[2] }
+                }
+            })
+                .composite([{ input: overlay }])
+                .png()
+                .toBuffer();
+        }
+    })
+};
+
+const speechProviders = {
+    openai: (config) => {
+        const client = getOpenAIClient(config);
+        return {
+            name: 'openai',
+            model: config.model,
+            synthesize: async (text, { voice, speed }) => {
+                const response = await client.audio.speech.create({
+                    model: config.model,
+                    voice,
+                    input: text,
+                    response_format: "mp3",
+                    speed
+                });
+                return { buffer: Buffer.from(await response.arrayBuffer()), format: 'mp3' };
+            }
+        };
+    },
+    fixture: (config) => ({
+        name: 'fixture',
+        model: config.model,
+        synthesize: async (text, { speed }) => ({
+            buffer: synthesizeFixtureWav(text, speed),
+            format: 'wav'
+        })
+    })
+};
+
+const createProvider = (registry, capability, defaultModel) => {
+    const config = getProviderConfig(capability, defaultModel);
+    const factory = registry[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown ${capability} provider "${config.provider}". Expected one of: ${Object.keys(registry).join(', ')}`);
+    }
+    logger.info(`Using ${config.provider} ${capability} provider with model ${config.model}${config.baseURL ? ` at ${config.baseURL}` : ''}`);
+    return factory(config);
+};
+
+const providers = {
+    text: createProvider(textProviders, 'text', 'gpt-3.5-turbo'),
+    image: createProvider(imageProviders, 'image', 'dall-e-3'),
+    speech: createProvider(speechProviders, 'speech', 'tts-1')
+};
+
+module.exports = { hashString, providers };
@@ -0,0 +1,392 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { existsSync } = require('fs');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logger } = require('./logger');
+const { isTableKey, logFfmpegCommand } = require('./util');
+const { speechWeight } = require('./script');
+const { VIDEO_FPS, buildClipFraming } = require('./formats');
+const { CAPTION_FONTS_DIR, toAss, escapeFilterPath } = require('./captions');
+const { toBrandingAss, buildLogoOverlay, appendBrandClips } = require('./templates');
+
+// Motion and transition configuration
+const MOTION_ZOOM = 0.15; // How far Ken Burns effects zoom in
+const MOTION_SUPERSAMPLE = 2; // Upscale before zoompan so slow moves don't jitter
+const MOTIONS = ['none', 'zoom_in', 'zoom_out', 'pan_left', 'pan_right', 'pan_up', 'pan_down'];
+const TRANSITIONS = ['cut', 'crossfade', 'slide_left', 'slide_right', 'slide_up', 'slide_down', 'fade_black'];
+const STYLE_PRESETS = {
+    static: { motion: 'none', transition: 'cut', transition_duration: 0 },
+    smooth: { motion: 'random', transition: 'crossfade', transition_duration: 0.6 },
+    dynamic: { motion: 'random', transition: 'slide_left', transition_duration: 0.4 },
+    cinematic: { motion: 'zoom_in', transition: 'fade_black', transition_duration: 1.0 }
+};
+
+// Validate the `style` request field: a preset name, or an object overriding a preset
+const parseStyleOptions = (input) => {
+    if (input === undefined) return { options: { ...STYLE_PRESETS.static } };
+
+    const overrides = typeof input === 'string' ? { preset: input } : input;
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        return { error: "Style must be a preset name or an object" };
+    }
+
+    const presetName = overrides.preset || 'static';
+    if (!isTableKey(STYLE_PRESETS, presetName)) {
+        return { error: `Style preset must be one of: ${Object.keys(STYLE_PRESETS).join(', ')}` };
+    }
+
+    const options = { ...STYLE_PRESETS[presetName], ...overrides };
+    delete options.preset;
+
+    const motions = Array.isArray(options.motion) ? options.motion : [options.motion];
+    if (motions.length === 0 || motions.some(motion => motion !== 'random' && !MOTIONS.includes(motion))) {
+        return { error: `Style motion must be "random" or one of: ${MOTIONS.join(', ')} (or a list of them, one per scene)` };
+    }
+    if (!TRANSITIONS.includes(options.transition)) {
+        return { error: `Style transition must be one of: ${TRANSITIONS.join(', ')}` };
+    }
+    if (!Number.isFinite(options.transition_duration) || options.transition_duration < 0 || options.transition_duration > 2) {
+        return { error: "Style transition_duration must be between 0 and 2 seconds" };
+    }
+
+    return {
+        options: {
+            motion: options.motion,
+            transition: options.transition,
+            transition_duration: options.transition === 'cut' ? 0 : options.transition_duration
+        }
+    };
+};
+
+// One motion per scene. A list is repeated if it is shorter than the scene count, and
+// "random" picks a different effect from the previous scene.
+const resolveSceneMotions = (motion, sceneCount) => {
+    const requested = Array.isArray(motion) ? motion : [motion];
+    const moving = MOTIONS.filter(name => name !== 'none');
+    const resolved = [];
+    for (let i = 0; i < sceneCount; i++) {
+        let choice = requested[i % requested.length];
+        if (choice === 'random') {
+            const options = moving.filter(name => name !== resolved[i - 1]);
+            choice = options[Math.floor(Math.random() * options.length)];
+        }
+        resolved.push(choice);
+    }
+    return resolved;
+};
+
+// zoompan expressions for a Ken Burns effect over `frames` output frames
+const buildZoompanFilter = (motion, frames, { width, height }) => {
+    const progress = `on/${frames}`;
+    const center = { x: 'iw/2-(iw/zoom/2)', y: 'ih/2-(ih/zoom/2)' };
+    const effects = {
+        none: { z: '1', ...center },
+        zoom_in: { z: `1+${MOTION_ZOOM}*${progress}`, ...center },
+        zoom_out: { z: `${1 + MOTION_ZOOM}-${MOTION_ZOOM}*${progress}`, ...center },
+        pan_left: { z: `${1 + MOTION_ZOOM}`, x: `(iw-iw/zoom)*(1-${progress})`, y: center.y },
+        pan_right: { z: `${1 + MOTION_ZOOM}`, x: `(iw-iw/zoom)*${progress}`, y: center.y },
+        pan_up: { z: `${1 + MOTION_ZOOM}`, x: center.x, y: `(ih-ih/zoom)*(1-${progress})` },
+        pan_down: { z: `${1 + MOTION_ZOOM}`, x: center.x, y: `(ih-ih/zoom)*${progress}` }
+    };
+    const { z, x, y } = effects[motion];
+    return `zoompan=z='${z}':x='${x}':y='${y}':d=${frames}:s=${width}x${height}:fps=${VIDEO_FPS}`;
+};
+
+// overlay position for a scene sliding in over the previous one between start and start + duration
+const buildSlidePosition = (transition, start, duration) => {
+    const remaining = `(1-(t-${start.toFixed(3)})/${duration.toFixed(3)})`;
+    const moving = (size) => `'if(lt(t,${(start + duration).toFixed(3)}),${size}*${remaining},0)'`;
+    switch (transition) {
+        case 'slide_left': return `x=${moving('W')}:y=0:`;
+        case 'slide_right': return `x=${moving('-W')}:y=0:`;
+        case 'slide_up': return `x=0:y=${moving('H')}:`;
+        case 'slide_down': return `x=0:y=${moving('-H')}:`;
+        default: return '';
+    }
+};
+
+// Build a filtergraph that lays scene clips on a black canvas covering the full duration.
+// Overlapping transitions are centred on scene boundaries, so every scene keeps its slot
+// and the total length is exactly `totalDuration`. Inputs 0..n-1 are the scene visuals:
+// stills are expanded by zoompan, video clips (looped at input) are trimmed to their slot.
+const buildSceneFilterGraph = (slots, motions, style, { width, height, totalDuration, clips = [] }) => {
+    const last = slots.length - 1;
+    const overlapping = style.transition === 'crossfade' || style.transition.startsWith('slide_');
+    // A transition can't be longer than half of the shortest scene
+    const transitionDuration = Math.min(style.transition_duration, ...slots.map(slot => (slot.end - slot.start) / 2));
+    const half = transitionDuration / 2;
+
+    const filters = [`color=c=black:s=${width}x${height}:r=${VIDEO_FPS}:d=${totalDuration.toFixed(3)}[base]`];
+    let previous = 'base';
+
+    slots.forEach((slot, i) => {
+        const start = overlapping && i > 0 ? slot.start - half : slot.start;
+        const end = overlapping && i < last ? slot.end + half : slot.end;
+        const clipDuration = end - start;
+        const frames = Math.ceil(clipDuration * VIDEO_FPS) + 1;
+
+        let source = `${i}:v`;
+        let chain = [
+            `scale=${width * MOTION_SUPERSAMPLE}:${height * MOTION_SUPERSAMPLE}`,
+            buildZoompanFilter(motions[i], frames, { width, height }),
+            'setsar=1'
+        ];
+        if (clips[i]) {
+            filters.push(`[${i}:v]trim=duration=${clipDuration.toFixed(3)},setpts=PTS-STARTPTS,fps=${VIDEO_FPS}[clip${i}]`);
+            filters.push(...buildClipFraming(`clip${i}`, `framed${i}`, clips[i].framing, { width, height }));
+            source = `framed${i}`;
+            chain = ['format=yuv420p'];
+        }
+        if (transitionDuration > 0 && i > 0 && style.transition === 'crossfade') {
+            chain.push('format=yuva420p', `fade=t=in:st=0:d=${transitionDuration.toFixed(3)}:alpha=1`);
+        }
+        if (transitionDuration > 0 && style.transition === 'fade_black') {
+            if (i > 0) chain.push(`fade=t=in:st=0:d=${half.toFixed(3)}`);
+            if (i < last) chain.push(`fade=t=out:st=${(clipDuration - half).toFixed(3)}:d=${half.toFixed(3)}`);
+        }
+        chain.push(`trim=duration=${clipDuration.toFixed(3)}`, `setpts=PTS-STARTPTS+${start.toFixed(3)}/TB`);
+        filters.push(`[${source}]${chain.join(',')}[scene${i}]`);
+
+        const position = transitionDuration > 0 && i > 0 ? buildSlidePosition(style.transition, start, transitionDuration) : '';
+        filters.push(`[${previous}][scene${i}]overlay=${position}eof_action=pass[layer${i}]`);
+        previous = `layer${i}`;
+    });
+
+    return { filters, output: previous };
+};
+
+// Convert an FFmpeg timemark (HH:MM:SS.xx) to seconds
+const timemarkToSeconds = (timemark) => {
+    if (!timemark) return 0;
+    return String(timemark).split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Scene weights from the scene-N marks in the narration timeline, so each image changes
+// exactly when its narration starts. Falls back to estimated speech length without marks.
+const getSceneWeights = (timeline, scenes, totalDuration) => {
+    const starts = scenes.map((scene, i) => {
+        const mark = timeline.find(entry => entry.type === 'mark' && entry.name === `scene-${i + 1}`);
+        return mark ? mark.start : null;
+    });
+    if (starts.some(start => start === null)) {
+        return scenes.map(scene => speechWeight(scene.narration));
+    }
+
+    starts[0] = 0;
+    return starts.map((start, i) => Math.max(0.01, (i + 1 < starts.length ? starts[i + 1] : totalDuration) - start));
+};
+
+// Split a total duration into consecutive slots proportional to `weights`
+const buildSceneSlots = (weights, totalDuration) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let elapsed = 0;
+    return weights.map((weight) => {
+        const start = (totalDuration * elapsed) / totalWeight;
+        elapsed += weight;
+        return { start, end: (totalDuration * elapsed) / totalWeight };
+    });
+};
+
+// Each entry of `images` is a still image path, or { type: 'video', path, framing } for a clip.
+// sceneWeights sets how long each scene stays on screen relative to the others (equal by default)
+// workDir holds the intermediate files; each job passes its own workspace
+// branding is a resolved branding template; its title card shows `headline`
+const createVideo = async (images, audioPath, outputPath, targetDuration, { onProgress, captions, style, sceneWeights, workDir, size, branding, headline } = {}) => {
+    logger.info("Starting video creation process");
+    const tempDir = workDir || path.join(__dirname, '..', 'temp');
+    const inputListPath = path.join(tempDir, 'input.txt');
+    const captionsPath = path.join(tempDir, `captions_${Date.now()}.ass`);
+    const brandingPath = path.join(tempDir, `branding_${Date.now()}.ass`);
+    // With intro or outro clips the scenes are rendered first and joined to them afterwards
+    const hasBrandClips = Boolean(branding && (branding.intro || branding.outro));
+    const scenesPath = hasBrandClips ? path.join(tempDir, 'scenes.mp4') : outputPath;
+    const tempFiles = [inputListPath, captionsPath, brandingPath].concat(hasBrandClips ? [scenesPath] : []);
+
+    try {
+        await fsPromises.mkdir(tempDir, { recursive: true });
+        logger.info(`Using working directory ${tempDir}`);
+
+        // Get audio duration
+        const audioData = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(audioPath, (err, metadata) => {
+                if (err) {
+                    logger.error(`Error getting audio duration: ${err.message}`);
+                    reject(err);
+                    return;
+                }
+                resolve(metadata);
+            });
+        });
+
+        const audioDuration = audioData.format.duration;
+        logger.info(`Audio duration for video creation: ${audioDuration} seconds`);
+
+        // Split the audio duration between the images
+        const slots = buildSceneSlots(sceneWeights || images.map(() => 1), audioDuration);
+        logger.info(`Scene durations: ${slots.map(slot => (slot.end - slot.start).toFixed(2)).join(', ')} seconds`);
+
+        // Plain cuts between still images can use the much cheaper concat demuxer
+        // Video clips always go through the filtergraph
+        const clips = images.map(image => (typeof image === 'object' && image.type === 'video' ? image : null));
+        const sceneStyle = style || { ...STYLE_PRESETS.static, motions: images.map(() => 'none') };
+        const animated = clips.some(Boolean) || sceneStyle.motions.some(motion => motion !== 'none') || sceneStyle.transition !== 'cut';
+        const { width, height } = size || await sharp(images[0]).metadata();
+
+        if (!animated) {
+            // Create input file for FFmpeg
+            let inputFileContent = '';
+            images.forEach((image, i) => {
+                inputFileContent += `file '${path.resolve(image)}'\nduration ${(slots[i].end - slots[i].start).toFixed(3)}\n`;
+            });
+            inputFileContent += `file '${path.resolve(images[images.length - 1])}'`;
+
+            logger.info("Writing input list file");
+            await fsPromises.writeFile(inputListPath, inputFileContent);
+        }
+
+        // Burn the title card, lower third and captions in with ASS scripts sized to the frame
+        const videoFilters = [];
+        const subtitleFiles = [];
+        if (branding && (branding.title_card || branding.lower_third)) {
+            await fsPromises.writeFile(brandingPath, toBrandingAss(branding, headline, { width, height, duration: audioDuration }));
+            subtitleFiles.push(brandingPath);
+            logger.info(`Burning ${branding.name} template graphics into the video`);
+        }
+        if (captions && captions.cues.length > 0) {
+            await fsPromises.writeFile(captionsPath, toAss(captions.cues, captions.style, { width, height }));
+            subtitleFiles.push(captionsPath);
+            logger.info(`Burning ${captions.cues.length} caption cues into the video`);
+        }
+        if (subtitleFiles.length > 0) {
+            const fontsDir = CAPTION_FONTS_DIR ? `:fontsdir='${escapeFilterPath(CAPTION_FONTS_DIR)}'` : '';
+            // Concat stills arrive as one long frame each, so expand to the output rate before
+            // rendering or captions would only update at image changes
+            videoFilters.push('fps=30', ...subtitleFiles.map(file => `subtitles='${escapeFilterPath(file)}'${fontsDir}`));
+        }
+        // The logo is the last input and goes over everything else
+        const logo = branding && branding.logo;
+
+        // Create video using FFmpeg
+        logger.info("Starting FFmpeg process");
+        const result = await new Promise((resolve, reject) => {
+            const command = ffmpeg();
+
+            if (animated) {
+                // Each scene is a single still frame that zoompan expands into a clip
+                const graph = buildSceneFilterGraph(slots, sceneStyle.motions, sceneStyle, { width, height, totalDuration: audioDuration, clips });
+                images.forEach((image, i) => {
+                    if (clips[i]) {
+                        // Loop short clips so they can fill their whole slot
+                        command.input(clips[i].path).inputOptions(['-stream_loop -1']);
+                    } else {
+                        command.input(image);
+                    }
+                });
+                command.input(audioPath);
+                if (logo) command.input(logo.path);
+                command
+                    .complexFilter([
+                        ...graph.filters,
+                        `[${graph.output}]${videoFilters.concat('format=yuv420p').join(',')}[${logo ? 'scenes' : 'video'}]`,
+                        ...(logo ? buildLogoOverlay('scenes', 'video', images.length + 1, logo, { width, height }) : [])
+                    ], 'video')
+                    .outputOptions([`-map ${images.length}:a`, `-t ${audioDuration.toFixed(3)}`]);
+                logger.info(`Rendering scenes with motion [${sceneStyle.motions.join(', ')}] and ${sceneStyle.transition} transitions (${clips.filter(Boolean).length} video clips)`);
+            } else {
+                command
+                    .input(inputListPath)
+                    .inputOptions(['-f concat', '-safe 0'])
+                    .input(audioPath)
+                    .outputOptions(['-shortest']);
+
+                if (logo) {
+                    command
+                        .input(logo.path)
+                        .complexFilter([
+                            `[0:v]${videoFilters.concat('format=yuv420p').join(',')}[scenes]`,
+                            ...buildLogoOverlay('scenes', 'video', 2, logo, { width, height })
+                        ], 'video')
+                        .outputOptions(['-map 1:a']);
+                } else if (videoFilters.length > 0) {
+                    command.videoFilters(videoFilters);
+                }
+            }
+
+            command
+                .outputOptions([
+                    '-c:v libx264',
+                    '-pix_fmt yuv420p',
+                    '-preset ultrafast',
+                    '-r 30',
+                    '-c:a aac',
+                    '-strict experimental'
+                ])
+                .on('start', logFfmpegCommand)
+                .on('progress', (progress) => {
+                    logger.info(`FFmpeg progress: ${JSON.stringify(progress)}`);
+                    if (onProgress) {
+                        // The concat demuxer often leaves percent undefined, so fall back to the timemark
+                        const percent = Number.isFinite(progress.percent)
+                            ? progress.percent
+                            : (timemarkToSeconds(progress.timemark) / audioDuration) * 100;
+                        onProgress({
+                            percent: Math.min(Math.max(percent, 0), 100),
+                            timemark: progress.timemark
+                        });
+                    }
+                })
+                .on('error', (err) => {
+                    logger.error(`FFmpeg error: ${err.message}`);
+                    reject(err);
+                })
+                .on('end', () => {
+                    logger.info("FFmpeg process completed");
+                    resolve(outputPath);
+                });
+
+            command.save(scenesPath);
+        });
+
+        if (hasBrandClips) {
+            await appendBrandClips(scenesPath, branding, outputPath, { width, height });
+        }
+
+        // Verify final video
+        const outputData = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(outputPath, (err, metadata) => {
+                if (err) reject(err);
+                else resolve(metadata);
+            });
+        });
+
+        const videoDuration = outputData.format.duration;
+        logger.info(`Final video duration: ${videoDuration}s (target: ${targetDuration}s)`);
+
+        // Clean up
+        for (const file of tempFiles) {
+            if (existsSync(file)) {
+                await fsPromises.unlink(file);
+            }
+        }
+        logger.info("Cleaned up intermediate files");
+
+        return result;
+    } catch (error) {
+        logger.error(`Error in createVideo: ${error.message}`);
+        try {
+            for (const file of tempFiles) {
+                if (existsSync(file)) {
+                    await fsPromises.unlink(file);
+                }
+            }
+            logger.info("Cleaned up intermediate files after error");
+        } catch (cleanupError) {
+            logger.error(`Error during cleanup: ${cleanupError.message}`);
+        }
+        throw error;
+    }
+};
+
+module.exports = { parseStyleOptions, resolveSceneMotions, getSceneWeights, buildSceneSlots, createVideo };
@@ -0,0 +1,750 @@
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+
+const { logger } = require('./logger');
+const { getAssetCacheSummary, clearAssetCache } = require('./asset-cache');
+const { VALID_VOICES, DEFAULT_LANGUAGE, LANGUAGES } = require('./script');
+const { ASPECT_RATIOS } = require('./formats');
+const { loadBrandTemplate, listBrandTemplates, serializeBrandTemplate } = require('./templates');
+const { listMusicTracks } = require('./music');
+const { storage } = require('./storage');
+const { renderMetrics } = require('./metrics');
+const { acceptUploads, validateMediaUploads, parseFormField } = require('./uploads');
+const { videos, parseVideoListQuery, matchesVideoFilter, serializeVideoSummary, serializeVideo } = require('./videos');
+const {
+    SSE_HEARTBEAT_INTERVAL, jobs, jobEvents, jobEventLog, updateJob, createJob, enqueueJob, canResumeUpload,
+    createVariantJobs, serializeVariantLink, isWaitingForSource, resetVariants, STORYBOARD_DIR,
+    needsStoryboardImage, serializeStoryboard, parseStoryboardScenes, serializeJobWithUrls, batches,
+    saveBatches, deleteVideo
+} = require('./jobs');
+const {
+    apiKeys, saveApiKeys, parseQuotas, createApiKey, createAccessToken, consumeQuota, serializeApiKey, requireApiKey,
+    requireApiKeyOrToken, requireAdmin
+} = require('./keys');
+const { parseGenerateOptions } = require('./validation');
+const {
+    BATCH_MAX_ITEMS, readBatchItems, parseBatchItems, serializeBatch, toManifestCsv, acceptBatchFile
+} = require('./batches');
+const { checkReadiness } = require('./health');
+
+const router = express.Router();
+
+// Routes
+// Async handlers pass anything they throw on to the error handler below, instead of
+// leaving a rejected promise that takes the server down
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// Event stream URL a browser's EventSource can open without sending the API key
+const getEventsUrl = (apiKey, jobId) => `/generate/${jobId}/events?token=${createAccessToken(apiKey.id, jobId)}`;
+
+router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'templates', 'index.html'));
+});
+
+// Liveness probe
+router.get('/healthz', (req, res) => {
+    res.json({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness probe: 503 until every check passes
+router.get('/readyz', asyncRoute(async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    if (!ready) {
+        logger.warn(`Readiness check failed: ${Object.keys(checks).filter(name => !checks[name].ok).join(', ')}`);
+    }
+    res.status(ready ? 200 : 503).json({ success: ready, status: ready ? 'ready' : 'not_ready', checks });
+}));
+
+router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+router.get('/static/videos/:filename', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'static', 'videos', req.params.filename));
+});
+
+router.post('/generate', requireApiKey, acceptUploads, asyncRoute(async (req, res) => {
+    const [captions, style, music, outputs, variants, noCache, fillMissing = true] = ['captions', 'style', 'music', 'outputs', 'variants', 'no_cache', 'fill_missing'].map(field => parseFormField(req.body[field]));
+    const uploads = req.files || {};
+
+    const optionsResult = await parseGenerateOptions({ ...req.body, captions, style, music, outputs, variants, no_cache: noCache }, req.apiKey, uploads.music_file && uploads.music_file[0]);
+    if (optionsResult.error) {
+        return res.status(optionsResult.status).json({
+            success: false,
+            error: optionsResult.error
+        });
+    }
+
+    // Validate uploaded scene media
+    if (typeof fillMissing !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: "fill_missing must be true or false"
+        });
+    }
+    const mediaResult = await validateMediaUploads(uploads.media);
+    if (mediaResult.error) {
+        return res.status(400).json({
+            success: false,
+            error: mediaResult.error
+        });
+    }
+
+    // Every variant is a video of its own
+    const quotaResult = consumeQuota(req.apiKey, res, 1 + optionsResult.options.variants.length);
+    if (!quotaResult.allowed) {
+        return res.status(429).json({ 
+            success: false,
+            error: quotaResult.error 
+        });
+    }
+
+    const job = createJob({
+        ...optionsResult.options,
+        media: mediaResult.media,
+        fill_missing: fillMissing
+    }, { apiKeyId: req.apiKey.id, correlationId: req.correlationId });
+    const variantJobs = createVariantJobs(job, optionsResult.options.variants, { apiKeyId: req.apiKey.id });
+    req.uploadsClaimed = true;
+    enqueueJob(job);
+    logger.info(`Queued job ${job.id} - Headline: ${job.params.headline}${variantJobs.length ? ` (${variantJobs.length} variants)` : ''}`);
+
+    res.status(202).json({
+        success: true,
+        message: "Video generation queued",
+        job_id: job.id,
+        status_url: `/jobs/${job.id}`,
+        events_url: getEventsUrl(req.apiKey, job.id),
+        variants: variantJobs.map(serializeVariantLink)
+    });
+}));
+
+// Generate a script and image previews to review before rendering
+router.post('/storyboard', requireApiKey, asyncRoute(async (req, res) => {
+    const optionsResult = await parseGenerateOptions(req.body, req.apiKey);
+    if (optionsResult.error) {
+        return res.status(optionsResult.status).json({
+            success: false,
+            error: optionsResult.error
+        });
+    }
+    // Variants translate the final video, so they are requested when rendering
+    if (optionsResult.options.variants.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Request variants when rendering the storyboard"
+        });
+    }
+
+    const quotaResult = consumeQuota(req.apiKey, res);
+    if (!quotaResult.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: quotaResult.error
+        });
+    }
+
+    const job = createJob(optionsResult.options, { apiKeyId: req.apiKey.id, kind: 'storyboard', correlationId: req.correlationId });
+    enqueueJob(job);
+    logger.info(`Queued storyboard ${job.id} - Headline: ${job.params.headline}`);
+
+    res.status(202).json({
+        success: true,
+        message: "Storyboard generation queued",
+        job_id: job.id,
+        storyboard_id: job.id,
+        status_url: `/jobs/${job.id}`,
+        events_url: getEventsUrl(req.apiKey, job.id),
+        storyboard_url: `/storyboard/${job.id}`
+    });
+}));
+
+router.get('/storyboard/:id', requireApiKey, (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || job.kind !== 'storyboard' || job.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Storyboard not found"
+        });
+    }
+
+    res.json({ success: true, ...serializeStoryboard(job, { token: createAccessToken(req.apiKey.id, job.id) }) });
+});
+
+router.get('/storyboard/:id/images/:file', requireApiKeyOrToken, (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || job.kind !== 'storyboard' || job.api_key_id !== req.apiKey.id || !/^[0-9a-f]+\.png$/.test(req.params.file)) {
+        return res.status(404).json({
+            success: false,
+            error: "Image not found"
+        });
+    }
+
+    res.sendFile(path.resolve(STORYBOARD_DIR, job.id, req.params.file), (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                error: "Image not found"
+            });
+        }
+    });
+});
+
+// Render a video from a storyboard, with any edits to its scenes or options
+router.post('/render', requireApiKey, asyncRoute(async (req, res) => {
+    const { storyboard_id: storyboardId, scenes, ...overrides } = req.body;
+    const storyboardJob = jobs.get(storyboardId);
+    if (!storyboardJob || storyboardJob.kind !== 'storyboard' || storyboardJob.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Storyboard not found"
+        });
+    }
+    if (storyboardJob.status !== 'completed') {
+        return res.status(409).json({
+            success: false,
+            error: `Storyboard is not ready (status is ${storyboardJob.status})`
+        });
+    }
+    // The storyboard's narration is already written in its language
+    if ('language' in overrides && overrides.language !== (storyboardJob.params.language || DEFAULT_LANGUAGE)) {
+        return res.status(400).json({
+            success: false,
+            error: "A storyboard is rendered in the language it was written in; use variants for other languages"
+        });
+    }
+
+    const scenesResult = parseStoryboardScenes(scenes, storyboardJob.result.scenes);
+    if (scenesResult.error) {
+        return res.status(400).json({
+            success: false,
+            error: scenesResult.error
+        });
+    }
+
+    // Options not given fall back to the ones the storyboard was created with
+    const { params } = storyboardJob;
+    const optionsResult = await parseGenerateOptions({
+        ...params,
+        captions: params.captions || false,
+        music: params.music && { track: params.music.track, volume: params.music.volume },
+        template: params.branding ? params.branding.name : undefined,
+        // A lower third only carries over to the template it was made for
+        lower_third: params.branding && params.branding.lower_third && !('template' in overrides) ? params.branding.lower_third.text : undefined,
+        ...overrides
+    }, req.apiKey);
+    if (optionsResult.error) {
+        return res.status(optionsResult.status).json({
+            success: false,
+            error: optionsResult.error
+        });
+    }
+
+    // The storyboard's quota unit pays for its first render; later renders, and every
+    // variant, are videos of their own
+    const renderCost = storyboardJob.render_count ? 1 : 0;
+    const quotaResult = consumeQuota(req.apiKey, res, renderCost + optionsResult.options.variants.length);
+    if (!quotaResult.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: quotaResult.error
+        });
+    }
+
+    // The storyboard keeps the latest edit, so later renders can start from it
+    const imageSize = ASPECT_RATIOS[optionsResult.options.aspect_ratio].imageSize;
+    const imagesToGenerate = new Set(scenesResult.scenes
+        .filter(scene => needsStoryboardImage(storyboardId, scene, imageSize))
+        .map(scene => scene.image_prompt)).size;
+    updateJob(storyboardJob, {
+        result: { ...storyboardJob.result, scenes: scenesResult.scenes.map(({ regenerate, ...scene }) => scene) },
+        render_count: (storyboardJob.render_count || 0) + 1
+    });
+
+    const job = createJob({
+        ...optionsResult.options,
+        storyboard: { id: storyboardId, scenes: scenesResult.scenes }
+    }, { apiKeyId: req.apiKey.id, kind: 'render', correlationId: req.correlationId });
+    const variantJobs = createVariantJobs(job, optionsResult.options.variants, { apiKeyId: req.apiKey.id });
+    enqueueJob(job);
+    logger.info(`Queued render ${job.id} from storyboard ${storyboardId} (${imagesToGenerate} images to generate)`);
+
+    res.status(202).json({
+        success: true,
+        message: "Render queued",
+        job_id: job.id,
+        storyboard_id: storyboardId,
+        images_to_generate: imagesToGenerate,
+        scenes: scenesResult.scenes.map(({ regenerate, ...scene }) => scene),
+        status_url: `/jobs/${job.id}`,
+        events_url: getEventsUrl(req.apiKey, job.id),
+        variants: variantJobs.map(serializeVariantLink)
+    });
+}));
+
+// Queue one video per item of a JSON list, CSV file or RSS/Atom feed
+router.post('/batches', requireApiKey, acceptBatchFile, asyncRoute(async (req, res) => {
+    const defaults = parseFormField(req.body.defaults) || {};
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+        return res.status(400).json({
+            success: false,
+            error: "defaults must be an object of generation options"
+        });
+    }
+    const maxItems = req.body.max_items === undefined ? BATCH_MAX_ITEMS : parseInt(req.body.max_items);
+    if (isNaN(maxItems) || maxItems < 1 || maxItems > BATCH_MAX_ITEMS) {
+        return res.status(400).json({
+            success: false,
+            error: `max_items must be between 1 and ${BATCH_MAX_ITEMS}`
+        });
+    }
+
+    const itemsResult = await readBatchItems(req.body, req.file);
+    if (itemsResult.error) {
+        return res.status(400).json({
+            success: false,
+            error: itemsResult.error
+        });
+    }
+    if (itemsResult.items.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: "Batch has no items"
+        });
+    }
+    // Feeds are cut down to their first (usually newest) entries; lists have to fit
+    if (itemsResult.source !== 'feed' && itemsResult.items.length > maxItems) {
+        return res.status(400).json({
+            success: false,
+            error: `Batches are limited to ${maxItems} items`
+        });
+    }
+
+    const validation = await parseBatchItems(itemsResult.items.slice(0, maxItems), defaults, req.apiKey);
+    if (validation.errors) {
+        return res.status(400).json({
+            success: false,
+            error: `${validation.errors.length} batch items are invalid`,
+            items: validation.errors
+        });
+    }
+
+    const quotaResult = consumeQuota(req.apiKey, res, validation.items.length);
+    if (!quotaResult.allowed) {
+        return res.status(429).json({
+            success: false,
+            error: quotaResult.error
+        });
+    }
+
+    const batch = {
+        id: crypto.randomUUID(),
+        api_key_id: req.apiKey.id,
+        source: itemsResult.source,
+        defaults,
+        items: [],
+        created_at: new Date().toISOString()
+    };
+    const batchJobs = validation.items.map((item) => {
+        const job = createJob(item.options, { apiKeyId: req.apiKey.id, batchId: batch.id, correlationId: req.correlationId });
+        batch.items.push({ index: item.index, headline: item.options.headline, source_url: item.source_url, job_id: job.id });
+        return job;
+    });
+    batches.set(batch.id, batch);
+    saveBatches();
+    batchJobs.forEach(enqueueJob);
+    logger.info(`Queued batch ${batch.id} with ${batchJobs.length} jobs from ${batch.source}`);
+
+    res.status(202).json({
+        success: true,
+        message: "Batch queued",
+        batch_id: batch.id,
+        total: batch.items.length,
+        status_url: `/batches/${batch.id}`,
+        items: batch.items.map(item => ({ ...item, status_url: `/jobs/${item.job_id}` }))
+    });
+}));
+
+router.get('/batches/:id', requireApiKey, asyncRoute(async (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch || batch.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Batch not found"
+        });
+    }
+
+    res.json({ success: true, ...(await serializeBatch(batch)) });
+}));
+
+// Video URLs of a finished batch, as JSON or (with ?format=csv) CSV
+router.get('/batches/:id/manifest', requireApiKey, asyncRoute(async (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch || batch.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Batch not found"
+        });
+    }
+
+    const summary = await serializeBatch(batch);
+    if (summary.status === 'processing') {
+        return res.status(409).json({
+            success: false,
+            error: `Batch is still processing (${summary.completed + summary.failed} of ${summary.total} finished)`
+        });
+    }
+
+    const items = summary.items.map(({ stage, progress, ...item }) => item);
+    if (req.query.format === 'csv') {
+        res.type('text/csv').attachment(`batch-${batch.id}.csv`);
+        return res.send(toManifestCsv(items));
+    }
+    res.json({
+        success: true,
+        batch_id: batch.id,
+        status: summary.status,
+        total: summary.total,
+        completed: summary.completed,
+        failed: summary.failed,
+        completed_at: summary.completed_at,
+        items
+    });
+}));
+
+// List the caller's videos, newest first, filtered by date, voice or text
+router.get('/videos', requireApiKey, asyncRoute(async (req, res) => {
+    const queryResult = parseVideoListQuery(req.query);
+    if (queryResult.error) {
+        return res.status(400).json({
+            success: false,
+            error: queryResult.error
+        });
+    }
+    const { page, per_page: perPage, ...filter } = queryResult.options;
+
+    const matching = [...videos.values()]
+        .filter(video => video.api_key_id === req.apiKey.id && matchesVideoFilter(video, filter))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    const pageVideos = matching.slice((page - 1) * perPage, page * perPage);
+    res.json({
+        success: true,
+        page,
+        per_page: perPage,
+        total: matching.length,
+        total_pages: Math.ceil(matching.length / perPage),
+        videos: await Promise.all(pageVideos.map(serializeVideoSummary))
+    });
+}));
+
+router.get('/videos/:id', requireApiKey, asyncRoute(async (req, res) => {
+    const video = videos.get(req.params.id);
+    // Only the key that created a video may see it
+    if (!video || video.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Video not found"
+        });
+    }
+
+    res.json({ success: true, ...(await serializeVideo(video)) });
+}));
+
+// Delete a video from the library and from storage
+router.delete('/videos/:id', requireApiKey, asyncRoute(async (req, res) => {
+    const video = videos.get(req.params.id);
+    if (!video || video.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Video not found"
+        });
+    }
+
+    if (video.storage.backend !== storage.name) {
+        return res.status(409).json({
+            success: false,
+            error: `Video is in ${video.storage.backend} storage, but the server is using ${storage.name} storage`
+        });
+    }
+
+    try {
+        await deleteVideo(video);
+        res.json({ success: true, video_id: video.id, deleted: true });
+    } catch (error) {
+        logger.error(`Error deleting video ${video.id}: ${error.message}`);
+        res.status(502).json({
+            success: false,
+            error: "Could not delete the video from storage"
+        });
+    }
+}));
+
+// List the narration languages and their default voices
+router.get('/languages', (req, res) => {
+    res.json({
+        success: true,
+        default_language: DEFAULT_LANGUAGE,
+        languages: Object.entries(LANGUAGES).map(([code, language]) => ({
+            code,
+            name: language.name,
+            words_per_second: language.words_per_second,
+            default_voice: language.default_voice
+        })),
+        voices: VALID_VOICES
+    });
+});
+
+// List the tracks in the music library
+router.get('/music', asyncRoute(async (req, res) => {
+    res.json({
+        success: true,
+        tracks: await listMusicTracks()
+    });
+}));
+
+// List the branding templates, checking each one so broken templates show up before use
+router.get('/templates', asyncRoute(async (req, res) => {
+    const names = await listBrandTemplates();
+    const templates = [];
+    for (const name of names) {
+        const result = await loadBrandTemplate(name);
+        templates.push(result.errors
+            ? { name, valid: false, errors: result.errors }
+            : { name, valid: true, errors: [], description: result.template.description });
+    }
+    res.json({
+        success: true,
+        templates
+    });
+}));
+
+router.get('/templates/:name', asyncRoute(async (req, res) => {
+    const result = await loadBrandTemplate(req.params.name);
+    if (result.errors) {
+        const missing = !(await listBrandTemplates()).includes(req.params.name);
+        return res.status(missing ? 404 : 422).json({
+            success: false,
+            error: missing ? "Template not found" : "Template is not valid",
+            errors: result.errors
+        });
+    }
+    res.json({
+        success: true,
+        template: serializeBrandTemplate(result.template)
+    });
+}));
+
+// Retry a failed job. If its render is still on disk only the upload is repeated.
+router.post('/jobs/:id/retry', requireApiKey, (req, res) => {
+    const job = jobs.get(req.params.id);
+    // Only the key that created a job may retry it
+    if (!job || job.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    if (job.status !== 'failed') {
+        return res.status(409).json({
+            success: false,
+            error: `Only failed jobs can be retried (job is ${job.status})`
+        });
+    }
+    if (isWaitingForSource(job)) {
+        return res.status(409).json({
+            success: false,
+            error: `Retry the source video ${job.params.variant_of} instead; its variants follow it`
+        });
+    }
+
+    const resumeUpload = canResumeUpload(job);
+    if (!resumeUpload) {
+        // A full re-run costs as much as a new generation
+        const quotaResult = consumeQuota(req.apiKey, res);
+        if (!quotaResult.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: quotaResult.error
+            });
+        }
+    }
+
+    updateJob(job, { status: 'queued', error: null, completed_at: null });
+    resetVariants(job);
+    enqueueJob(job);
+    logger.info(`Retrying job ${job.id}${resumeUpload ? ' from the upload stage' : ''}`);
+
+    res.status(202).json({
+        success: true,
+        message: resumeUpload ? "Upload retry queued" : "Video generation queued",
+        job_id: job.id,
+        resume_stage: resumeUpload ? 'upload' : 'script',
+        status_url: `/jobs/${job.id}`,
+        events_url: getEventsUrl(req.apiKey, job.id)
+    });
+});
+
+router.get('/jobs/:id', requireApiKey, asyncRoute(async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || job.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    // Presigned URLs expire, so hand out fresh ones on every poll
+    res.json({ success: true, ...(await serializeJobWithUrls(job)), events_url: getEventsUrl(req.apiKey, job.id) });
+}));
+
+const writeSseEvent = (res, event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+};
+
+router.get('/generate/:id/events', requireApiKeyOrToken, asyncRoute(async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || job.api_key_id !== req.apiKey.id) {
+        return res.status(404).json({
+            success: false,
+            error: "Job not found"
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Current state first (without an id, so it doesn't move the client's Last-Event-ID)
+    res.write('retry: 3000\n');
+    const status = await serializeJobWithUrls(job);
+    res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+
+    // Replay whatever the client missed since its last event. A replayed completion gets
+    // the same fresh URLs as the status, since the ones it was sent with may have expired.
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+    const missed = (jobEventLog.get(job.id) || []).filter(event => isNaN(lastEventId) || event.id > lastEventId);
+    missed.forEach(event => writeSseEvent(res, event.type === 'completed' && job.result
+        ? { ...event, data: { ...event.data, video_url: status.video_url, captions: status.captions, outputs: status.outputs } }
+        : event));
+
+    if (job.status === 'completed' || job.status === 'failed') {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    const onEvent = (event) => {
+        writeSseEvent(res, event);
+        if (event.type === 'completed' || event.type === 'failed') {
+            res.end();
+        }
+    };
+    jobEvents.on(job.id, onEvent);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        jobEvents.off(job.id, onEvent);
+    });
+}));
+
+// Admin: API key management
+router.post('/admin/keys', requireAdmin, (req, res) => {
+    const { name, quotas } = req.body;
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: "name is required"
+        });
+    }
+
+    const quotaResult = parseQuotas(quotas);
+    if (quotaResult.error) {
+        return res.status(400).json({
+            success: false,
+            error: quotaResult.error
+        });
+    }
+
+    const { apiKey, key } = createApiKey(name.trim(), quotaResult.quotas);
+    logger.info(`Created API key ${apiKey.id} (${apiKey.name})`);
+
+    // The key itself is only ever shown here; only its hash is stored
+    res.status(201).json({
+        success: true,
+        key,
+        ...serializeApiKey(apiKey)
+    });
+});
+
+router.get('/admin/keys', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        keys: [...apiKeys.values()].map(serializeApiKey)
+    });
+});
+
+router.get('/admin/keys/:id', requireAdmin, (req, res) => {
+    const apiKey = apiKeys.get(req.params.id);
+    if (!apiKey) {
+        return res.status(404).json({
+            success: false,
+            error: "API key not found"
+        });
+    }
+
+    const keyJobs = [...jobs.values()].filter(job => job.api_key_id === apiKey.id);
+    res.json({
+        success: true,
+        ...serializeApiKey(apiKey),
+        jobs: {
+            total: keyJobs.length,
+            ...Object.fromEntries(['queued', 'processing', 'completed', 'failed']
+                .map(status => [status, keyJobs.filter(job => job.status === status).length]))
+        }
+    });
+});
+
+router.delete('/admin/keys/:id', requireAdmin, (req, res) => {
+    const apiKey = apiKeys.get(req.params.id);
+    if (!apiKey) {
+        return res.status(404).json({
+            success: false,
+            error: "API key not found"
+        });
+    }
+
+    if (!apiKey.revoked_at) {
+        apiKey.revoked_at = new Date().toISOString();
+        saveApiKeys();
+        logger.info(`Revoked API key ${apiKey.id} (${apiKey.name})`);
+    }
+
+    res.json({
+        success: true,
+        ...serializeApiKey(apiKey)
+    });
+});
+
+// Admin: asset cache
+router.get('/admin/cache', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        ...getAssetCacheSummary()
+    });
+});
+
+router.delete('/admin/cache', requireAdmin, asyncRoute(async (req, res) => {
+    const removed = await clearAssetCache();
+    res.json({
+        success: true,
+        removed
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const { logger } = require('./logger');
+const { providers } = require('./providers');
+const { withAssetCache } = require('./asset-cache');
+
+// Script configuration
+const SECONDS_PER_SCENE = 5; // Roughly how long each image stays on screen
+const MAX_SCENES = 12;
+
+// Languages and voices
+// Scripts are sized by how many words a voice speaks per second, which differs between
+// languages (German words are long, Spanish ones short). Every voice can read every
+// language; `default_voice` is used when a request doesn't pick one. Only languages that
+// separate words with spaces are supported, as trimming and captions work on words.
+const VALID_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = {
+    en: { name: 'English', words_per_second: 2.0, default_voice: 'alloy' },
+    es: { name: 'Spanish', words_per_second: 2.2, default_voice: 'nova' },
+    fr: { name: 'French', words_per_second: 2.1, default_voice: 'shimmer' },
+    de: { name: 'German', words_per_second: 1.7, default_voice: 'onyx' },
+    it: { name: 'Italian', words_per_second: 2.1, default_voice: 'nova' },
+    pt: { name: 'Portuguese', words_per_second: 2.0, default_voice: 'nova' },
+    nl: { name: 'Dutch', words_per_second: 1.9, default_voice: 'alloy' }
+};
+const MAX_VARIANTS = 5;
+
+const getSceneCount = (targetDuration) =>
+    Math.min(MAX_SCENES, Math.max(1, Math.round(targetDuration / SECONDS_PER_SCENE)));
+
+// Relative time it takes to say some text. Character count (plus one for the gap after
+// each word) is a good enough proxy for TTS output.
+const speechWeight = (text) => text.split(/\s+/).filter(Boolean)
+    .reduce((sum, word) => sum + word.replace(/[^\p{L}\p{N}]/gu, '').length + 1, 0);
+
+// Pull the JSON object out of a model reply, tolerating code fences or extra prose
+const parseJsonReply = (content) => {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Script response did not contain JSON');
+    }
+    return JSON.parse(content.slice(start, end + 1));
+};
+
+// Split narration into sentences, keeping each one's closing punctuation. A sentence only
+// ends where the punctuation is followed by a space, so "2.5" and "$1,000" stay whole.
+const splitSentences = (text) => (text.match(/\S[\s\S]*?(?:[.!?]+["'”’)]*(?=\s|$)|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+// Trim every scene's narration by the same proportion to fit a word budget. Scenes are cut
+// at sentence boundaries so narration never stops mid-sentence; each keeps at least its
+// first sentence, and any overshoot is left to the tempo change and padding.
+const trimSceneNarration = (scenes, targetWordCount) => {
+    const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+    const totalWords = scenes.reduce((sum, scene) => sum + countWords(scene.narration), 0);
+    const keepRatio = Math.min(1, targetWordCount / Math.max(totalWords, 1));
+    return scenes
+        .map((scene) => {
+            const budget = Math.floor(countWords(scene.narration) * keepRatio);
+            const kept = [];
+            let words = 0;
+            for (const sentence of splitSentences(scene.narration)) {
+                const sentenceWords = countWords(sentence);
+                if (kept.length > 0 && words + sentenceWords > budget) break;
+                kept.push(sentence);
+                words += sentenceWords;
+            }
+            return { ...scene, narration: kept.join(' ') };
+        })
+        .filter(scene => scene.narration);
+};
+
+// Build the marked-up narration script for a list of scenes
+const buildNarrationScript = (scenes) => {
+    // Marks let the audio stage report when each scene's narration starts
+    let script = scenes.map((scene, i) => `<mark name="scene-${i + 1}"/> ${scene.narration}`).join(' ');
+
+    // Add strategic pauses to help reach target duration
+    script = script.replace(/\. /g, '. <break time="0.3s"/> ');
+    return `<break time="0.2s"/> ${script} <break time="0.2s"/>`;
+};
+
+const generateScript = async (headline, targetDuration, { language = DEFAULT_LANGUAGE, wordsPerSecond = LANGUAGES[language].words_per_second, sceneCount = getSceneCount(targetDuration), cache } = {}) => {
+    try {
+        // Adjust word count for target duration
+        const targetWordCount = Math.floor(targetDuration * wordsPerSecond);
+        const wordsPerScene = Math.round(targetWordCount / sceneCount);
+
+        const prompt = `Create a concise Instagram story script about ${headline}.
+        Important requirements:
+        1. The narration MUST be exactly ${targetWordCount} words in total
+        2. Split it into exactly ${sceneCount} scenes of about ${wordsPerScene} words each that flow naturally
+        3. DO NOT use any hashtags or social media tags
+        4. Use simple, engaging language
+        5. Each scene needs a visual_prompt describing one real-life photograph that matches its narration (no text, logos or captions in the image)
+        6. Each scene needs a duration in seconds; the durations should add up to ${targetDuration}${language === DEFAULT_LANGUAGE ? '' : `
+        7. Write the narration in ${LANGUAGES[language].name}, but write every visual_prompt in English`}
+        Style: Clear and engaging, like a story
+        Respond with JSON only, in this format:
+        {"scenes": [{"narration": "...", "visual_prompt": "...", "duration": 5}]}`;
+
+        const messages = [{ role: "user", content: prompt }];
+        const { buffer } = await withAssetCache('script', providers.text, { messages, json: true }, cache, async () => {
+            const reply = await providers.text.complete(messages, { json: true });
+            parseJsonReply(reply.trim()); // Only keep replies that parse
+            return { buffer: Buffer.from(reply), format: 'txt' };
+        });
+        const parsed = parseJsonReply(buffer.toString().trim());
+        if (!Array.isArray(parsed.scenes) || parsed.scenes.length === 0) {
+            throw new Error('Script response contained no scenes');
+        }
+
+        const parsedScenes = parsed.scenes.map((scene) => {
+            const narration = String(scene.narration || '').trim().split(/\s+/)
+                .filter(word => word && !word.startsWith('#')).join(' ');
+            return {
+                narration,
+                image_prompt: String(scene.visual_prompt || '').trim() || `${headline}: ${narration}`,
+                duration_hint: Number.isFinite(Number(scene.duration)) ? Number(scene.duration) : null
+            };
+        });
+
+        // Enforce the word count, trimming every scene back to whole sentences
+        const scenes = trimSceneNarration(parsedScenes, targetWordCount);
+        if (scenes.length === 0) {
+            throw new Error('Script response contained no narration');
+        }
+        const script = buildNarrationScript(scenes);
+
+        const wordCount = scenes.reduce((sum, scene) => sum + scene.narration.split(' ').length, 0);
+        logger.info(`Script generated with ${wordCount} words in ${scenes.length} scenes for ${targetDuration} seconds`);
+        return { script, scriptParts: scenes.map(scene => scene.narration), scenes };
+    } catch (error) {
+        logger.error(`Error generating script: ${error.message}`);
+        throw error;
+    }
+};
+
+// Retell a finished story in another language for a variant: one translated narration per
+// scene, so every scene keeps its image, sized for the target duration. The headline is
+// translated too, for the title card.
+const translateScript = async (headline, sourceScenes, targetDuration, { language, wordsPerSecond = LANGUAGES[language].words_per_second, cache } = {}) => {
+    try {
+        const targetWordCount = Math.floor(targetDuration * wordsPerSecond);
+        const prompt = `Translate this news story script into ${LANGUAGES[language].name}.
+        Important requirements:
+        1. Keep exactly ${sourceScenes.length} scenes, in the same order, each translating the narration of its own scene
+        2. The translated narration MUST be about ${targetWordCount} words in total; adapt the wording naturally rather than translating word for word
+        3. Keep any tags such as <break time="0.5s"/> where they are
+        4. DO NOT use any hashtags or social media tags
+        Respond with JSON only, in this format:
+        {"headline": "...", "scenes": [{"narration": "..."}]}
+        Headline: ${JSON.stringify(headline)}
+        Scenes: ${JSON.stringify(sourceScenes.map(scene => scene.narration))}`;
+
+        const messages = [{ role: "user", content: prompt }];
+        const { buffer } = await withAssetCache('script', providers.text, { messages, json: true }, cache, async () => {
+            const reply = await providers.text.complete(messages, { json: true });
+            parseJsonReply(reply.trim()); // Only keep replies that parse
+            return { buffer: Buffer.from(reply), format: 'txt' };
+        });
+        const parsed = parseJsonReply(buffer.toString().trim());
+        if (!Array.isArray(parsed.scenes) || parsed.scenes.length !== sourceScenes.length) {
+            throw new Error(`Translation should have ${sourceScenes.length} scenes but had ${Array.isArray(parsed.scenes) ? parsed.scenes.length : 'none'}`);
+        }
+
+        // Image prompts and hints stay the source's, so the variant reuses its images
+        const translatedScenes = sourceScenes.map((scene, i) => ({
+            narration: String(parsed.scenes[i].narration || '').trim().split(/\s+/)
+                .filter(word => word && !word.startsWith('#')).join(' '),
+            image_prompt: scene.image_prompt,
+            duration_hint: scene.duration_hint
+        }));
+        const scenes = trimSceneNarration(translatedScenes, targetWordCount);
+        if (scenes.length === 0) {
+            throw new Error('Translation contained no narration');
+        }
+
+        logger.info(`Script translated into ${LANGUAGES[language].name} in ${scenes.length} scenes for ${targetDuration} seconds`);
+        return {
+            headline: typeof parsed.headline === 'string' && parsed.headline.trim() ? parsed.headline.trim() : headline,
+            script: buildNarrationScript(scenes),
+            scriptParts: scenes.map(scene => scene.narration),
+            scenes
+        };
+    } catch (error) {
+        logger.error(`Error translating script: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = {
+    MAX_SCENES, VALID_VOICES, DEFAULT_LANGUAGE, LANGUAGES, MAX_VARIANTS, getSceneCount, speechWeight,
+    trimSceneNarration, buildNarrationScript, generateScript, translateScript
+};
@@ -0,0 +1,373 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, ListPartsCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const { logger } = require('./logger');
+const { sleep } = require('./util');
+
+// Storage configuration
+// STORAGE_BACKEND selects where finished videos go: local, s3 or s3-compatible (MinIO, R2, ...)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 's3';
+const S3_BUCKET = process.env.AWS_BUCKET_NAME;
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(S3_ENDPOINT); // Most S3-compatible servers don't support virtual-hosted buckets
+const S3_PRIVATE_BUCKET = process.env.S3_PRIVATE_BUCKET === 'true';
+const PRESIGNED_URL_EXPIRES = parseInt(process.env.PRESIGNED_URL_EXPIRES) || 3600; // seconds
+const LOCAL_STORAGE_ROOT = 'static'; // Served under /static
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+const s3Client = new S3Client({
+    // S3-compatible servers generally ignore the region, but the SDK requires one
+    region: process.env.AWS_REGION || (S3_ENDPOINT ? 'us-east-1' : undefined),
+    endpoint: S3_ENDPOINT,
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    },
+    maxAttempts: 5,
+    retryMode: 'adaptive'
+});
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+// Multipart upload configuration
+const UPLOAD_PART_SIZE = 5 * 1024 * 1024; // 5MB parts (S3 minimum for all but the last part)
+const UPLOAD_PART_CONCURRENCY = Math.max(1, parseInt(process.env.UPLOAD_PART_CONCURRENCY) || 4);
+const UPLOAD_PART_RETRIES = Math.max(0, parseInt(process.env.UPLOAD_PART_RETRIES) || 3);
+
+// Parts already stored for an in-progress multipart upload, or null if the upload no longer exists
+const listUploadedParts = async (key, uploadId) => {
+    const parts = new Map();
+    let partNumberMarker;
+    try {
+        do {
+            const response = await s3Client.send(new ListPartsCommand({
+                Bucket: S3_BUCKET,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: partNumberMarker
+            }));
+            (response.Parts || []).forEach(part => parts.set(part.PartNumber, { PartNumber: part.PartNumber, ETag: part.ETag, Size: part.Size }));
+            partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+        } while (partNumberMarker);
+        return parts;
+    } catch (error) {
+        if (error.name === 'NoSuchUpload') return null;
+        throw error;
+    }
+};
+
+// Network errors, timeouts, throttling and server errors may pass on a later try. Anything
+// else (access denied, a missing bucket or upload) will fail the same way again.
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'];
+const isRetryableUploadError = (error) => {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+    if (status) return status >= 500 || status === 408 || status === 429;
+    return error.name === 'TimeoutError' || RETRYABLE_NETWORK_CODES.includes(error.code);
+};
+
+const sendWithRetry = async (label, send) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            if (attempt >= UPLOAD_PART_RETRIES || !isRetryableUploadError(error)) throw error;
+            const delay = 1000 * 2 ** attempt;
+            logger.warn(`${label} failed (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+const uploadPartWithRetry = (fileHandle, { key, uploadId, partNumber, start, length }) => sendWithRetry(`Part ${partNumber}`, async () => {
+    // Read just this part from disk so memory stays bounded by the part concurrency
+    const body = Buffer.alloc(length);
+    await fileHandle.read(body, 0, length, start);
+
+    const response = await s3Client.send(new UploadPartCommand({
+        Bucket: S3_BUCKET,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body
+    }));
+    return { PartNumber: partNumber, ETag: response.ETag };
+});
+
+// Delete the local copy once it is safely in the bucket
+const removeUploadedFile = async (filePath) => {
+    try {
+        await fsPromises.unlink(filePath);
+        logger.info(`Local file deleted: ${filePath}`);
+    } catch (deleteError) {
+        logger.warn(`Failed to delete local file: ${deleteError.message}`);
+        // Don't throw error here as upload was successful
+    }
+};
+
+// Streams a file to S3 in parts. Passing the uploadId of an interrupted upload resumes it,
+// skipping parts S3 already has. Files that fit in one part (captions, posters, playlists,
+// segments) are sent with a single PutObject instead. On failure the local file is kept so
+// the upload can be retried. After a retryable error the multipart upload is kept as well,
+// so the retry resumes it, and the error has `uploadKept` set; other failures abort it.
+const uploadToS3 = async (filePath, key, { contentType = 'video/mp4', onProgress, uploadId: resumeUploadId, onUploadCreated } = {}) => {
+    let uploadId;
+    let fileHandle;
+    try {
+        logger.info(`Uploading ${filePath} to S3 with key ${key}`);
+
+        const { size: fileSize } = await fsPromises.stat(filePath);
+        logger.info(`File size: ${(fileSize / (1024 * 1024)).toFixed(2)} MB`);
+
+        const numParts = Math.max(1, Math.ceil(fileSize / UPLOAD_PART_SIZE));
+        const partLength = (partNumber) => Math.min(UPLOAD_PART_SIZE, fileSize - (partNumber - 1) * UPLOAD_PART_SIZE);
+
+        if (numParts === 1) {
+            const body = await fsPromises.readFile(filePath);
+            await sendWithRetry(`Upload of ${key}`, () => s3Client.send(new PutObjectCommand({
+                Bucket: S3_BUCKET,
+                Key: key,
+                Body: body,
+                ContentType: contentType
+            })));
+            if (onProgress) onProgress({ part: 1, completed: 1, total: 1 });
+            logger.info(`File uploaded successfully to s3://${S3_BUCKET}/${key}`);
+            await removeUploadedFile(filePath);
+            return key;
+        }
+
+        // Resume an interrupted upload if S3 still has it
+        let uploadedParts = new Map();
+        if (resumeUploadId) {
+            const existingParts = await listUploadedParts(key, resumeUploadId);
+            if (existingParts) {
+                uploadId = resumeUploadId;
+                // Only keep parts that match the current file layout
+                existingParts.forEach((part, partNumber) => {
+                    if (partNumber <= numParts && part.Size === partLength(partNumber)) {
+                        uploadedParts.set(partNumber, { PartNumber: part.PartNumber, ETag: part.ETag });
+                    }
+                });
+                logger.info(`Resuming upload ${uploadId} with ${uploadedParts.size}/${numParts} parts already uploaded`);
+            } else {
+                logger.info(`Upload ${resumeUploadId} no longer exists, starting a new one`);
+            }
+        }
+
+        // Start multipart upload
+        if (!uploadId) {
+            const createMultipartUpload = await s3Client.send(new CreateMultipartUploadCommand({
+                Bucket: S3_BUCKET,
+                Key: key,
+                ContentType: contentType
+            }));
+            uploadId = createMultipartUpload.UploadId;
+            uploadedParts = new Map();
+            if (onUploadCreated) onUploadCreated(uploadId);
+        }
+
+        const pendingParts = [];
+        for (let partNumber = 1; partNumber <= numParts; partNumber++) {
+            if (!uploadedParts.has(partNumber)) pendingParts.push(partNumber);
+        }
+
+        fileHandle = await fsPromises.open(filePath, 'r');
+        let completedParts = uploadedParts.size;
+
+        // Upload parts with a fixed number of workers. The first failed part stops the others
+        // from starting new parts; parts already in flight finish before the upload is closed
+        // or aborted, so none land after an abort or overlap a retry of this upload.
+        const worker = async () => {
+            while (pendingParts.length > 0) {
+                const partNumber = pendingParts.shift();
+                logger.info(`Uploading part ${partNumber}/${numParts}`);
+                try {
+                    const part = await uploadPartWithRetry(fileHandle, {
+                        key,
+                        uploadId,
+                        partNumber,
+                        start: (partNumber - 1) * UPLOAD_PART_SIZE,
+                        length: partLength(partNumber)
+                    });
+                    uploadedParts.set(partNumber, part);
+                    completedParts++;
+                    if (onProgress) onProgress({ part: partNumber, completed: completedParts, total: numParts });
+                } catch (error) {
+                    pendingParts.length = 0;
+                    throw error;
+                }
+            }
+        };
+        const results = await Promise.allSettled(Array.from({ length: Math.min(UPLOAD_PART_CONCURRENCY, pendingParts.length) }, worker));
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+
+        await fileHandle.close();
+        fileHandle = null;
+
+        // Complete multipart upload
+        await s3Client.send(new CompleteMultipartUploadCommand({
+            Bucket: S3_BUCKET,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: [...uploadedParts.values()].sort((a, b) => a.PartNumber - b.PartNumber)
+            }
+        }));
+
+        logger.info(`File uploaded successfully to s3://${S3_BUCKET}/${key}`);
+        await removeUploadedFile(filePath);
+        return key;
+    } catch (error) {
+        logger.error(`Error uploading to S3: ${error.message}`);
+
+        if (fileHandle) {
+            await fileHandle.close().catch(() => {});
+        }
+
+        if (uploadId && isRetryableUploadError(error)) {
+            // Keep the parts so a retry can pick up where this attempt stopped
+            logger.info(`Keeping multipart upload ${uploadId} so a retry can resume it`);
+            error.uploadKept = true;
+        } else if (uploadId) {
+            // Abort so S3 doesn't keep (and bill for) the orphaned parts
+            try {
+                await s3Client.send(new AbortMultipartUploadCommand({
+                    Bucket: S3_BUCKET,
+                    Key: key,
+                    UploadId: uploadId
+                }));
+                logger.info(`Aborted multipart upload ${uploadId}`);
+            } catch (abortError) {
+                logger.error(`Failed to abort multipart upload ${uploadId}: ${abortError.message}`);
+            }
+        }
+
+        // The local file is kept so the upload can be retried without re-rendering
+        logger.info(`Keeping local file for retry: ${filePath}`);
+        throw error;
+    }
+};
+
+// Public URL for an object in a public bucket
+const getS3PublicUrl = (key) => {
+    if (process.env.S3_BUCKET_URL) {
+        return `${process.env.S3_BUCKET_URL.replace(/\/$/, '')}/${encodeKey(key)}`;
+    }
+    if (S3_ENDPOINT) {
+        const endpoint = S3_ENDPOINT.replace(/\/$/, '');
+        if (S3_FORCE_PATH_STYLE) {
+            return `${endpoint}/${S3_BUCKET}/${encodeKey(key)}`;
+        }
+        const { protocol, host } = new URL(endpoint);
+        return `${protocol}//${S3_BUCKET}.${host}/${encodeKey(key)}`;
+    }
+    return `https://${S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${encodeKey(key)}`;
+};
+
+const createS3Storage = (name) => ({
+    name,
+    upload: (filePath, key, options) => uploadToS3(filePath, key, options),
+    getUrl: async (key) => {
+        if (!S3_PRIVATE_BUCKET) {
+            return getS3PublicUrl(key);
+        }
+        // Private buckets hand out time-limited GET links instead
+        return getSignedUrl(s3Client, new GetObjectCommand({
+            Bucket: S3_BUCKET,
+            Key: key
+        }), { expiresIn: PRESIGNED_URL_EXPIRES });
+    },
+    delete: async (key) => {
+        try {
+            await s3Client.send(new DeleteObjectCommand({
+                Bucket: S3_BUCKET,
+                Key: key
+            }));
+            logger.info(`Deleted ${key} from ${name} storage`);
+        } catch (error) {
+            logger.error(`Error deleting ${key} from ${name} storage: ${error.message}`);
+            throw error;
+        }
+    }
+});
+
+// Moves the file under static/ so it's served by express.static
+const createLocalStorage = () => ({
+    name: 'local',
+    upload: async (filePath, key, { onProgress } = {}) => {
+        const destination = path.join(LOCAL_STORAGE_ROOT, key);
+        logger.info(`Storing ${filePath} locally at ${destination}`);
+
+        try {
+            await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+            try {
+                await fsPromises.rename(filePath, destination);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                // Different filesystem, so copy then remove the original
+                await fsPromises.copyFile(filePath, destination);
+                await fsPromises.unlink(filePath);
+            }
+            if (onProgress) onProgress({ part: 1, completed: 1, total: 1 });
+            return key;
+        } catch (error) {
+            logger.error(`Error storing file locally: ${error.message}`);
+            throw error;
+        }
+    },
+    getUrl: async (key) => `${PUBLIC_BASE_URL}/${LOCAL_STORAGE_ROOT}/${encodeKey(key)}`,
+    delete: async (key) => {
+        await fsPromises.rm(path.join(LOCAL_STORAGE_ROOT, key), { force: true });
+        logger.info(`Deleted ${key} from local storage`);
+    }
+});
+
+const createStorage = () => {
+    switch (STORAGE_BACKEND) {
+        case 'local':
+            return createLocalStorage();
+        case 's3':
+            return createS3Storage('s3');
+        case 's3-compatible':
+            if (!S3_ENDPOINT) {
+                throw new Error('S3_ENDPOINT is required when STORAGE_BACKEND is s3-compatible');
+            }
+            return createS3Storage('s3-compatible');
+        default:
+            throw new Error(`Unknown storage backend "${STORAGE_BACKEND}". Expected one of: local, s3, s3-compatible`);
+    }
+};
+
+const storage = createStorage();
+logger.info(`Using ${storage.name} storage${S3_PRIVATE_BUCKET && storage.name !== 'local' ? ' with presigned URLs' : ''}`);
+
+// Fill in the URLs of a job result. Presigned URLs expire, so this runs on every read.
+const resolveResultUrls = async (result) => {
+    const resolved = { ...result };
+    if (result.storage_key) {
+        resolved.video_url = await storage.getUrl(result.storage_key);
+    }
+    if (result.caption_keys) {
+        resolved.captions = {
+            srt_url: await storage.getUrl(result.caption_keys.srt),
+            vtt_url: await storage.getUrl(result.caption_keys.vtt)
+        };
+    }
+    if (result.output_keys) {
+        const { poster, preview, renditions, hls } = result.output_keys;
+        resolved.outputs = {
+            poster_url: poster && await storage.getUrl(poster),
+            preview_url: preview && await storage.getUrl(preview),
+            renditions: await Promise.all(renditions.map(async ({ key, ...rendition }) => ({ ...rendition, url: await storage.getUrl(key) }))),
+            hls_url: hls && await storage.getUrl(hls)
+        };
+    }
+    return resolved;
+};
+
+module.exports = { S3_BUCKET, S3_PRIVATE_BUCKET, LOCAL_STORAGE_ROOT, storage, resolveResultUrls };
@@ -0,0 +1,314 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { existsSync } = require('fs');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+
+const { logger } = require('./logger');
+const { isTableKey, runFfmpeg } = require('./util');
+const { VIDEO_FPS, buildClipFraming } = require('./formats');
+const { DEFAULT_CAPTION_STYLE, toAssColor, formatAssTimestamp, escapeAssText } = require('./captions');
+
+// Branding templates
+// Named JSON files in BRAND_TEMPLATES_DIR (news.json is the template "news") that brand a
+// video: a logo watermark, an opening title card with the headline, a lower third, intro
+// and outro clips, and the fonts and colours these (and the caption defaults) use. Every
+// section is optional. Logo and clip files are referenced relative to the folder.
+const BRAND_TEMPLATES_DIR = process.env.BRAND_TEMPLATES_DIR || 'brand_templates';
+const LOGO_POSITIONS = {
+    top_left: (margin) => `${margin}:${margin}`,
+    top_right: (margin) => `W-w-${margin}:${margin}`,
+    bottom_left: (margin) => `${margin}:H-h-${margin}`,
+    bottom_right: (margin) => `W-w-${margin}:H-h-${margin}`
+};
+const LOWER_THIRD_POSITIONS = { left: 1, right: 3 }; // ASS alignment (numpad layout)
+const BRAND_CLIP_MAX_SECONDS = 15; // Longest intro or outro
+const LOWER_THIRD_MAX_LENGTH = 80; // Characters
+const DEFAULT_BRAND_TEMPLATE = {
+    fonts: { heading: DEFAULT_CAPTION_STYLE.font, body: DEFAULT_CAPTION_STYLE.font },
+    colors: { primary: '#FFFFFF', accent: DEFAULT_CAPTION_STYLE.highlight_color, background: '#000000' },
+    logo: { position: 'top_right', opacity: 0.85, width: 0.18, margin: 0.04 }, // width and margin as a fraction of the frame
+    title_card: { duration: 3, font_size: null, opacity: 0.6 },
+    lower_third: { text: null, start: null, duration: 4, font_size: null, position: 'left' }
+};
+
+const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+const isNumberInRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+// Resolve a file named by a template, refusing anything outside the templates folder
+const resolveBrandFile = (file) => {
+    if (typeof file !== 'string' || !file) return null;
+    const root = path.resolve(BRAND_TEMPLATES_DIR);
+    const filePath = path.resolve(root, file);
+    return filePath.startsWith(`${root}${path.sep}`) && existsSync(filePath) ? filePath : null;
+};
+
+// Probe an intro or outro clip
+const probeBrandClip = async (label, file, errors) => {
+    const clipPath = resolveBrandFile(file);
+    if (!clipPath) {
+        errors.push(`${label} file not found: ${file}`);
+        return null;
+    }
+    const metadata = await new Promise((resolve) => {
+        ffmpeg.ffprobe(clipPath, (err, data) => resolve(err ? null : data));
+    });
+    const stream = metadata && metadata.streams.find(candidate => candidate.codec_type === 'video');
+    const duration = metadata ? parseFloat(metadata.format.duration) || 0 : 0;
+    if (!stream || !duration) {
+        errors.push(`${label} could not be read as a video clip`);
+        return null;
+    }
+    if (duration > BRAND_CLIP_MAX_SECONDS) {
+        errors.push(`${label} must be at most ${BRAND_CLIP_MAX_SECONDS} seconds`);
+        return null;
+    }
+    return {
+        path: clipPath,
+        duration,
+        has_audio: metadata.streams.some(candidate => candidate.codec_type === 'audio')
+    };
+};
+
+// Check a template definition and fill in defaults. Returns { template } or { errors },
+// listing every problem so a template can be fixed in one go.
+const validateBrandTemplate = async (name, definition) => {
+    const errors = [];
+    if (typeof definition !== 'object' || definition === null || Array.isArray(definition)) {
+        return { errors: ["Template must be a JSON object"] };
+    }
+    const section = (key) => {
+        const value = definition[key];
+        if (value === undefined || value === null || value === false) return null;
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${key} must be an object`);
+            return null;
+        }
+        return { ...DEFAULT_BRAND_TEMPLATE[key], ...value };
+    };
+
+    const fonts = { ...DEFAULT_BRAND_TEMPLATE.fonts, ...(section('fonts') || {}) };
+    for (const [key, font] of Object.entries(fonts)) {
+        if (typeof font !== 'string' || !font.trim()) errors.push(`fonts.${key} must be a font name`);
+    }
+    const colors = { ...DEFAULT_BRAND_TEMPLATE.colors, ...(section('colors') || {}) };
+    for (const [key, color] of Object.entries(colors)) {
+        if (!isHexColor(color)) errors.push(`colors.${key} must be a hex colour like #FFFFFF`);
+    }
+
+    let logo = section('logo');
+    if (logo) {
+        const logoPath = resolveBrandFile(logo.file);
+        if (!logoPath) {
+            errors.push(`logo file not found: ${logo.file}`);
+        } else {
+            try {
+                await sharp(logoPath).metadata();
+            } catch (error) {
+                errors.push("logo could not be read as an image");
+            }
+        }
+        if (!isTableKey(LOGO_POSITIONS, logo.position)) errors.push(`logo.position must be one of: ${Object.keys(LOGO_POSITIONS).join(', ')}`);
+        if (!isNumberInRange(logo.opacity, 0, 1)) errors.push("logo.opacity must be between 0 and 1");
+        if (!isNumberInRange(logo.width, 0.02, 0.5)) errors.push("logo.width must be between 0.02 and 0.5 of the frame width");
+        if (!isNumberInRange(logo.margin, 0, 0.2)) errors.push("logo.margin must be between 0 and 0.2");
+        logo = { path: logoPath, position: logo.position, opacity: logo.opacity, width: logo.width, margin: logo.margin };
+    }
+
+    const titleCard = section('title_card');
+    if (titleCard) {
+        if (!isNumberInRange(titleCard.duration, 1, 10)) errors.push("title_card.duration must be between 1 and 10 seconds");
+        if (titleCard.font_size !== null && !isNumberInRange(titleCard.font_size, 10, 300)) errors.push("title_card.font_size must be between 10 and 300");
+        if (!isNumberInRange(titleCard.opacity, 0, 1)) errors.push("title_card.opacity must be between 0 and 1");
+    }
+
+    const lowerThird = section('lower_third');
+    if (lowerThird) {
+        if (lowerThird.text !== null && (typeof lowerThird.text !== 'string' || lowerThird.text.length > LOWER_THIRD_MAX_LENGTH)) {
+            errors.push(`lower_third.text must be text of at most ${LOWER_THIRD_MAX_LENGTH} characters`);
+        }
+        if (lowerThird.start !== null && !isNumberInRange(lowerThird.start, 0, 60)) errors.push("lower_third.start must be between 0 and 60 seconds");
+        if (!isNumberInRange(lowerThird.duration, 1, 60)) errors.push("lower_third.duration must be between 1 and 60 seconds");
+        if (lowerThird.font_size !== null && !isNumberInRange(lowerThird.font_size, 10, 200)) errors.push("lower_third.font_size must be between 10 and 200");
+        if (!isTableKey(LOWER_THIRD_POSITIONS, lowerThird.position)) errors.push(`lower_third.position must be one of: ${Object.keys(LOWER_THIRD_POSITIONS).join(', ')}`);
+    }
+
+    const intro = definition.intro ? await probeBrandClip('intro', definition.intro, errors) : null;
+    const outro = definition.outro ? await probeBrandClip('outro', definition.outro, errors) : null;
+
+    if (errors.length > 0) return { errors };
+    return {
+        template: {
+            name,
+            description: typeof definition.description === 'string' ? definition.description : null,
+            fonts,
+            colors,
+            logo,
+            title_card: titleCard,
+            lower_third: lowerThird,
+            intro,
+            outro
+        }
+    };
+};
+
+// Load and validate a template by name
+const loadBrandTemplate = async (name) => {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+        return { errors: ["Template names may only contain letters, digits, _ and -"] };
+    }
+    let definition;
+    try {
+        definition = JSON.parse(await fsPromises.readFile(path.join(BRAND_TEMPLATES_DIR, `${name}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { errors: [`Template not found: ${name}`] };
+        return { errors: [`Template is not valid JSON: ${error.message}`] };
+    }
+    return validateBrandTemplate(name, definition);
+};
+
+const listBrandTemplates = async () => {
+    try {
+        const files = await fsPromises.readdir(BRAND_TEMPLATES_DIR);
+        return files
+            .filter(file => path.extname(file).toLowerCase() === '.json')
+            .map(file => path.basename(file, path.extname(file)))
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+// Template as returned by the API, with file names instead of server paths
+const serializeBrandTemplate = (template) => {
+    const toFile = (filePath) => path.relative(path.resolve(BRAND_TEMPLATES_DIR), filePath);
+    const { path: logoPath, ...logo } = template.logo || {};
+    return {
+        ...template,
+        logo: template.logo ? { file: toFile(logoPath), ...logo } : null,
+        intro: template.intro ? { file: toFile(template.intro.path), duration: template.intro.duration } : null,
+        outro: template.outro ? { file: toFile(template.outro.path), duration: template.outro.duration } : null
+    };
+};
+
+// Validate the `template` and `lower_third` request fields
+const parseBrandingOptions = async (templateName, lowerThirdText) => {
+    if (templateName === undefined || templateName === null || templateName === '') {
+        if (lowerThirdText !== undefined && lowerThirdText !== null) {
+            return { error: "lower_third needs a template that defines a lower third" };
+        }
+        return { options: null };
+    }
+
+    const result = await loadBrandTemplate(templateName);
+    if (result.errors) {
+        return { error: `Template ${templateName} is not usable: ${result.errors.join('; ')}` };
+    }
+    const { template } = result;
+
+    let lowerThird = null;
+    if (lowerThirdText !== undefined && lowerThirdText !== null) {
+        if (!template.lower_third) {
+            return { error: `Template ${templateName} does not define a lower third` };
+        }
+        if (typeof lowerThirdText !== 'string' || !lowerThirdText.trim() || lowerThirdText.length > LOWER_THIRD_MAX_LENGTH) {
+            return { error: `lower_third must be text of at most ${LOWER_THIRD_MAX_LENGTH} characters` };
+        }
+        lowerThird = { ...template.lower_third, text: lowerThirdText.trim() };
+    } else if (template.lower_third && template.lower_third.text) {
+        lowerThird = template.lower_third;
+    }
+
+    return { options: { ...template, lower_third: lowerThird } };
+};
+
+// ASS override tags take colours without the alpha byte
+const toAssTagColor = (hex) => `${toAssColor(hex).replace(/^&H[0-9A-F]{2}/, '&H')}&`;
+
+// Build an ASS script with the title card and lower third, timed against the narration
+const toBrandingAss = (branding, headline, { width, height, duration }) => {
+    const { fonts, colors, title_card: titleCard, lower_third: lowerThird } = branding;
+    const margin = Math.round(width * 0.06);
+    const titleSize = (titleCard && titleCard.font_size) || Math.round(Math.min(width, height) * 0.085);
+    const lowerThirdSize = (lowerThird && lowerThird.font_size) || Math.round(height * 0.035);
+    const boxColor = toAssColor(colors.background, 0x30);
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        `PlayResY: ${height}`,
+        'WrapStyle: 0',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Title,${fonts.heading},${titleSize},${toAssColor(colors.primary)},${toAssColor(colors.primary)},${toAssColor('#000000', 0x80)},${toAssColor('#000000', 0x80)},1,0,0,0,100,100,0,0,1,0,${Math.max(1, Math.round(titleSize / 20))},5,${margin},${margin},0,1`,
+        `Style: LowerThird,${fonts.body},${lowerThirdSize},${toAssColor(colors.primary)},${toAssColor(colors.primary)},${boxColor},${boxColor},1,0,0,0,100,100,0,0,3,${Math.round(lowerThirdSize / 3)},0,${lowerThird ? LOWER_THIRD_POSITIONS[lowerThird.position] : 1},${margin},${margin},${Math.round(height * 0.3)},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = [];
+    let titleEnd = 0;
+    if (titleCard) {
+        // A wash of the background colour over the first scene, under the headline
+        titleEnd = Math.min(titleCard.duration, duration / 2);
+        const timing = `${formatAssTimestamp(0)},${formatAssTimestamp(titleEnd)}`;
+        const washAlpha = Math.round((1 - titleCard.opacity) * 255).toString(16).padStart(2, '0').toUpperCase();
+        events.push(`Dialogue: 0,${timing},Title,,0,0,0,,{\\an7\\pos(0,0)\\bord0\\shad0\\1c${toAssTagColor(colors.background)}\\1a&H${washAlpha}&\\fad(0,400)\\p1}m 0 0 l ${width} 0 ${width} ${height} 0 ${height}{\\p0}`);
+        events.push(`Dialogue: 1,${timing},Title,,0,0,0,,{\\fad(300,400)}${escapeAssText(headline)}`);
+    }
+    if (lowerThird) {
+        // Starts once the title card is gone unless the template says otherwise
+        const start = Math.min(lowerThird.start !== null ? lowerThird.start : titleEnd + 0.5, Math.max(0, duration - 1));
+        const end = Math.min(start + lowerThird.duration, duration);
+        events.push(`Dialogue: 2,${formatAssTimestamp(start)},${formatAssTimestamp(end)},LowerThird,,0,0,0,,{\\fad(250,250)}${escapeAssText(lowerThird.text)}`);
+    }
+
+    return `${header.concat(events).join('\n')}\n`;
+};
+
+// overlay filters that place the logo from input `logoInput` over [input]
+const buildLogoOverlay = (input, output, logoInput, logo, { width, height }) => {
+    const logoWidth = Math.max(2, Math.round(width * logo.width));
+    const margin = Math.round(Math.min(width, height) * logo.margin);
+    return [
+        `[${logoInput}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${logo.opacity}[logo]`,
+        `[${input}][logo]overlay=${LOGO_POSITIONS[logo.position](margin)}:format=auto[${output}]`
+    ];
+};
+
+// Put the intro and outro clips around the main render, each fitted to the frame
+const appendBrandClips = async (mainPath, { intro, outro }, outputPath, { width, height }) => {
+    const parts = [intro, { path: mainPath, has_audio: true }, outro].filter(Boolean);
+    const filters = [];
+    parts.forEach((part, i) => {
+        filters.push(...buildClipFraming(`${i}:v`, `framed${i}`, 'pad', { width, height }));
+        filters.push(`[framed${i}]fps=${VIDEO_FPS},format=yuv420p[v${i}]`);
+        // Clips without sound get silence so every part has an audio stream to join
+        filters.push(part.has_audio
+            ? `[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`
+            : `anullsrc=channel_layout=stereo:sample_rate=48000,atrim=duration=${part.duration.toFixed(3)}[a${i}]`);
+    });
+    filters.push(`${parts.map((part, i) => `[v${i}][a${i}]`).join('')}concat=n=${parts.length}:v=1:a=1[video][audio]`);
+
+    try {
+        const command = ffmpeg();
+        parts.forEach(part => command.input(part.path));
+        await runFfmpeg(command
+            .complexFilter(filters, ['video', 'audio'])
+            .outputOptions(['-c:v libx264', '-pix_fmt yuv420p', '-preset ultrafast', `-r ${VIDEO_FPS}`, '-c:a aac']), outputPath);
+        logger.info(`Added ${intro ? 'intro' : ''}${intro && outro ? ' and ' : ''}${outro ? 'outro' : ''} clips`);
+        return outputPath;
+    } catch (error) {
+        logger.error(`Error adding intro and outro clips: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = {
+    loadBrandTemplate, listBrandTemplates, serializeBrandTemplate, parseBrandingOptions, toBrandingAss,
+    buildLogoOverlay, appendBrandClips
+};
@@ -0,0 +1,134 @@
+const path = require('path');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const multer = require('multer');
+
+const { logContext } = require('./logger');
+const { DATA_DIR } = require('./json-store');
+const { MAX_SCENES } = require('./script');
+const { MUSIC_EXTENSIONS, MUSIC_MAX_UPLOAD_BYTES } = require('./music');
+
+// Uploads
+// Music tracks and scene media uploaded with a request are kept under DATA_DIR until
+// their job completes, so a requeued or retried job can still use them.
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
+
+const MEDIA_MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '50') * 1024 * 1024;
+const MEDIA_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const MEDIA_VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm'];
+const MEDIA_DIMENSION_RANGE = { min: 360, max: 8192 }; // Pixels, shortest and longest side
+const MEDIA_MAX_CLIP_SECONDS = 120;
+
+// Many clients send generic types for uploads, so the extension decides; sharp and
+// ffprobe reject whatever isn't really media when the upload is validated
+const UPLOAD_FIELDS = {
+    music_file: { mimePrefixes: ['audio/'], extensions: MUSIC_EXTENSIONS, label: 'Music file must be audio' },
+    media: { mimePrefixes: ['image/', 'video/'], extensions: [...MEDIA_IMAGE_EXTENSIONS, ...MEDIA_VIDEO_EXTENSIONS], label: 'Media must be an image or video clip' }
+};
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fsPromises.mkdir(UPLOAD_DIR, { recursive: true }).then(() => cb(null, UPLOAD_DIR), cb);
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: { fileSize: Math.max(MUSIC_MAX_UPLOAD_BYTES, MEDIA_MAX_UPLOAD_BYTES), files: MAX_SCENES + 1 },
+    fileFilter: (req, file, cb) => {
+        const field = UPLOAD_FIELDS[file.fieldname];
+        const allowed = (file.mimetype === 'application/octet-stream' || field.mimePrefixes.some(prefix => file.mimetype.startsWith(prefix)))
+            && field.extensions.includes(path.extname(file.originalname).toLowerCase());
+        cb(allowed ? null : new Error(`${field.label} (${field.extensions.join(', ')})`), allowed);
+    }
+}).fields([
+    { name: 'music_file', maxCount: 1 },
+    { name: 'media', maxCount: MAX_SCENES }
+]);
+
+// Express middleware: accept optional music_file and media uploads. The files are deleted
+// again unless the request ends up handing them to a job (req.uploadsClaimed).
+const acceptUploads = (req, res, next) => {
+    upload(req, res, (error) => {
+        const files = Object.values(req.files || {}).flat();
+        res.on('finish', () => {
+            if (!req.uploadsClaimed) {
+                files.forEach(file => fsPromises.unlink(file.path).catch(() => {}));
+            }
+        });
+
+        if (error) {
+            const messages = {
+                LIMIT_FILE_SIZE: `Uploads must be smaller than ${Math.max(MUSIC_MAX_UPLOAD_BYTES, MEDIA_MAX_UPLOAD_BYTES) / (1024 * 1024)} MB`,
+                LIMIT_UNEXPECTED_FILE: `Uploads must be a single music_file and at most ${MAX_SCENES} media files`
+            };
+            return res.status(400).json({
+                success: false,
+                error: messages[error.code] || error.message
+            });
+        }
+        // multer calls back from its stream handlers, outside the request's log context
+        logContext.run({ correlation_id: req.correlationId }, next);
+    });
+};
+
+// Check that uploaded scene media can be used, in upload order. Images are measured with
+// sharp and clips with ffprobe, which also rejects files that aren't really media.
+const validateMediaUploads = async (files = []) => {
+    const media = [];
+    for (const file of files) {
+        const isVideo = MEDIA_VIDEO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+        if (file.size > MEDIA_MAX_UPLOAD_BYTES) {
+            return { error: `${file.originalname} is larger than ${MEDIA_MAX_UPLOAD_BYTES / (1024 * 1024)} MB` };
+        }
+
+        let item;
+        if (isVideo) {
+            const metadata = await new Promise((resolve) => {
+                ffmpeg.ffprobe(file.path, (err, data) => resolve(err ? null : data));
+            });
+            const stream = metadata && metadata.streams.find(candidate => candidate.codec_type === 'video');
+            if (!stream) {
+                return { error: `${file.originalname} could not be read as a video clip` };
+            }
+            item = { type: 'video', width: stream.width, height: stream.height, duration: parseFloat(metadata.format.duration) || 0 };
+            if (!item.duration || item.duration > MEDIA_MAX_CLIP_SECONDS) {
+                return { error: `${file.originalname} must be a clip of at most ${MEDIA_MAX_CLIP_SECONDS} seconds` };
+            }
+        } else {
+            try {
+                const { width, height } = await sharp(file.path).metadata();
+                item = { type: 'image', width, height };
+            } catch (error) {
+                return { error: `${file.originalname} could not be read as an image` };
+            }
+        }
+
+        if (Math.min(item.width, item.height) < MEDIA_DIMENSION_RANGE.min || Math.max(item.width, item.height) > MEDIA_DIMENSION_RANGE.max) {
+            return { error: `${file.originalname} is ${item.width}x${item.height}; sides must be between ${MEDIA_DIMENSION_RANGE.min} and ${MEDIA_DIMENSION_RANGE.max} pixels` };
+        }
+        media.push({ ...item, name: file.originalname, path: file.path });
+    }
+    return { media };
+};
+
+// Options that are objects, lists or booleans. Multipart fields and CSV cells are strings,
+// so these arrive as JSON text; every other field is text and is kept as it is.
+const STRUCTURED_FIELDS = ['captions', 'style', 'music', 'outputs', 'variants', 'no_cache', 'fill_missing'];
+
+// Multipart form fields are strings, so object fields arrive as JSON text
+const parseFormField = (value) => {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!/^[[{]|^(true|false|null)$/.test(trimmed)) return value;
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        return value;
+    }
+};
+
+module.exports = { UPLOAD_DIR, acceptUploads, validateMediaUploads, STRUCTURED_FIELDS, parseFormField };
@@ -0,0 +1,53 @@
+const { logger } = require('./logger');
+
+// Whether `key` names one of a lookup table's own entries. Plain `table[key]` would also
+// accept inherited names such as "constructor" or "toString".
+const isTableKey = (table, key) => typeof key === 'string' && Object.hasOwn(table, key);
+
+// Wrap 16-bit mono PCM in a WAV header
+const buildWav = (pcm, sampleRate) => {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+};
+
+// Like Promise.all over items.map(fn), but with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const logFfmpegCommand = (commandLine) => logger.info(`FFmpeg command: ${commandLine}`);
+
+// Save an FFmpeg command's output, logging the command line. Resolves to outputPath.
+const runFfmpeg = (command, outputPath) => new Promise((resolve, reject) => {
+    command
+        .on('start', logFfmpegCommand)
+        .on('end', () => resolve(outputPath))
+        .on('error', reject)
+        .save(outputPath);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { isTableKey, buildWav, mapWithConcurrency, logFfmpegCommand, runFfmpeg, sleep };
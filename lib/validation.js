@@ -0,0 +1,161 @@
+const { isTableKey } = require('./util');
+const { VALID_VOICES, DEFAULT_LANGUAGE, LANGUAGES, MAX_VARIANTS } = require('./script');
+const { ASPECT_RATIOS, RESOLUTIONS, FRAMING_MODES } = require('./formats');
+const { DEFAULT_CAPTION_STYLE, parseCaptionOptions } = require('./captions');
+const { parseBrandingOptions } = require('./templates');
+const { parseStyleOptions } = require('./render');
+const { parseMusicOptions } = require('./music');
+const { parseOutputOptions } = require('./outputs');
+
+// Request validation
+// Validate a language and its voice. The voice defaults to the language's default voice,
+// or to the first voice the key may use if that one isn't allowed. `field` names the
+// request field in errors about variants.
+const parseLanguageVoice = (language, voiceType, quotas, field = null) => {
+    if (!isTableKey(LANGUAGES, language)) {
+        return { status: 400, error: `${field ? `${field}.language` : 'Language'} must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+    }
+    const { default_voice: defaultVoice } = LANGUAGES[language];
+    const voice = voiceType
+        || (!quotas.voices || quotas.voices.includes(defaultVoice) ? defaultVoice : quotas.voices[0]);
+    if (!VALID_VOICES.includes(voice)) {
+        return { status: 400, error: `${field ? `${field}.voice_type` : 'Voice type'} must be one of: ${VALID_VOICES.join(', ')}` };
+    }
+    if (quotas.voices && !quotas.voices.includes(voice)) {
+        return { status: 403, error: `This API key may only use voices: ${quotas.voices.join(', ')}` };
+    }
+    return { voice };
+};
+
+// Validate the `variants` request field: language codes, or objects with a language and
+// voice_type, each different from the main language and from each other
+const parseVariantOptions = (input, language, quotas) => {
+    if (input === undefined || input === null) return { options: [] };
+    const formatError = "variants must be a list of language codes, or of objects with a language and voice_type";
+    if (!Array.isArray(input)) {
+        return { status: 400, error: formatError };
+    }
+    if (input.length > MAX_VARIANTS) {
+        return { status: 400, error: `At most ${MAX_VARIANTS} variants can be requested` };
+    }
+
+    const variants = [];
+    for (const [i, item] of input.entries()) {
+        const variant = typeof item === 'string' ? { language: item } : item;
+        if (typeof variant !== 'object' || variant === null || Array.isArray(variant)) {
+            return { status: 400, error: formatError };
+        }
+        const voiceResult = parseLanguageVoice(variant.language, variant.voice_type, quotas, `variants[${i}]`);
+        if (voiceResult.error) return voiceResult;
+        if (variant.language === language || variants.some(other => other.language === variant.language)) {
+            return { status: 400, error: `variants[${i}]: ${LANGUAGES[variant.language].name} is already requested` };
+        }
+        variants.push({ language: variant.language, voice_type: voiceResult.voice });
+    }
+    return { options: variants };
+};
+
+// Validate the generation options shared by /generate, /storyboard and /render against
+// the caller's key. Returns { options } or { status, error }.
+const parseGenerateOptions = async (body, apiKey, musicFile) => {
+    const { headline, target_duration, voice_type, language = DEFAULT_LANGUAGE, variants, captions, style, music, template, lower_third, outputs, no_cache = false, aspect_ratio = '9:16', resolution = '1080p', framing = 'crop' } = body;
+
+    // Validate required fields
+    if (!headline || !target_duration) {
+        return { status: 400, error: "Headline and target_duration are required" };
+    }
+
+    // Validate target_duration
+    const duration = parseInt(target_duration);
+    if (isNaN(duration) || duration < 5 || duration > 60) {
+        return { status: 400, error: "Target duration must be between 5 and 60 seconds" };
+    }
+
+    // Validate language and voice_type, within the key's own limits
+    const { quotas } = apiKey;
+    const voiceResult = parseLanguageVoice(language, voice_type, quotas);
+    if (voiceResult.error) {
+        return voiceResult;
+    }
+    if (duration > quotas.max_duration) {
+        return { status: 403, error: `This API key is limited to videos of ${quotas.max_duration} seconds` };
+    }
+
+    // Validate translated versions
+    const variantsResult = parseVariantOptions(variants, language, quotas);
+    if (variantsResult.error) {
+        return variantsResult;
+    }
+
+    // Validate output format
+    if (!isTableKey(ASPECT_RATIOS, aspect_ratio)) {
+        return { status: 400, error: `Aspect ratio must be one of: ${Object.keys(ASPECT_RATIOS).join(', ')}` };
+    }
+    if (!isTableKey(RESOLUTIONS, resolution)) {
+        return { status: 400, error: `Resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` };
+    }
+    if (!FRAMING_MODES.includes(framing)) {
+        return { status: 400, error: `Framing must be one of: ${FRAMING_MODES.join(', ')}` };
+    }
+
+    // Validate motion and transition style
+    const styleResult = parseStyleOptions(style);
+    if (styleResult.error) {
+        return { status: 400, error: styleResult.error };
+    }
+
+    if (typeof no_cache !== 'boolean') {
+        return { status: 400, error: "no_cache must be true or false" };
+    }
+
+    // Validate the branding template, which also sets the caption defaults
+    const brandingResult = await parseBrandingOptions(template, lower_third);
+    if (brandingResult.error) {
+        return { status: 400, error: brandingResult.error };
+    }
+    const branding = brandingResult.options;
+
+    // Validate captions
+    const captionResult = parseCaptionOptions(captions, branding ? {
+        ...DEFAULT_CAPTION_STYLE,
+        font: branding.fonts.body,
+        color: branding.colors.primary,
+        highlight_color: branding.colors.accent
+    } : DEFAULT_CAPTION_STYLE);
+    if (captionResult.error) {
+        return { status: 400, error: captionResult.error };
+    }
+
+    // Validate background music
+    const musicResult = parseMusicOptions(music, musicFile);
+    if (musicResult.error) {
+        return { status: 400, error: musicResult.error };
+    }
+
+    // Validate extra outputs
+    const outputsResult = parseOutputOptions(outputs, resolution);
+    if (outputsResult.error) {
+        return { status: 400, error: outputsResult.error };
+    }
+
+    return {
+        options: {
+            headline,
+            target_duration: duration,
+            voice_type: voiceResult.voice,
+            language,
+            variants: variantsResult.options,
+            captions: captionResult.options,
+            aspect_ratio,
+            resolution,
+            framing,
+            style: styleResult.options,
+            music: musicResult.options,
+            branding,
+            outputs: outputsResult.options,
+            no_cache
+        }
+    };
+};
+
+module.exports = { parseGenerateOptions };
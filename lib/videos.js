@@ -0,0 +1,257 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const { logger } = require('./logger');
+const { isTableKey } = require('./util');
+const { createJsonStore, DATA_DIR } = require('./json-store');
+const { VALID_VOICES, DEFAULT_LANGUAGE, LANGUAGES } = require('./script');
+const { stripNarrationMarkup } = require('./captions');
+const { storage, resolveResultUrls } = require('./storage');
+
+// Video library
+// Every completed generation is recorded with its inputs, script, asset hashes, ffprobe
+// metadata and storage keys. A video's id is the id of the job that made it. Deleting a
+// video removes it (and its captions) from storage as well as from the library.
+const VIDEOS_FILE = path.join(DATA_DIR, 'videos.json');
+const VIDEO_LIST_DEFAULT_PER_PAGE = 20;
+const VIDEO_LIST_MAX_PER_PAGE = 100;
+
+const videos = new Map();
+const videosStore = createJsonStore(VIDEOS_FILE, 'videos');
+
+const saveVideos = () => videosStore.save(() => [...videos.values()]);
+
+const loadVideos = async () => {
+    const stored = await videosStore.load();
+    stored.forEach(video => videos.set(video.id, video));
+    logger.info(`Loaded ${stored.length} videos`);
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// The parts of a video's ffprobe metadata worth keeping
+const summarizeMediaInfo = (metadata) => {
+    const video = metadata.streams.find(stream => stream.codec_type === 'video');
+    const audio = metadata.streams.find(stream => stream.codec_type === 'audio');
+    const [frames, seconds] = video ? String(video.r_frame_rate).split('/').map(Number) : [];
+    return {
+        format: metadata.format.format_name,
+        duration: parseFloat(metadata.format.duration) || null,
+        size_bytes: parseInt(metadata.format.size) || null,
+        bit_rate: parseInt(metadata.format.bit_rate) || null,
+        video: video ? {
+            codec: video.codec_name,
+            width: video.width,
+            height: video.height,
+            frame_rate: seconds ? Math.round((frames / seconds) * 100) / 100 : frames || null,
+            pixel_format: video.pix_fmt
+        } : null,
+        audio: audio ? {
+            codec: audio.codec_name,
+            sample_rate: parseInt(audio.sample_rate) || null,
+            channels: audio.channels
+        } : null
+    };
+};
+
+// Record a job's finished video. Artifacts carry what only the render knows (script,
+// hashes, media info); jobs finished before the library existed are recorded without them.
+const recordVideo = (job, result, artifacts = {}) => {
+    const { params } = job;
+    const videoInfo = artifacts.video_info || null;
+    const video = {
+        id: job.id,
+        job_id: job.id,
+        kind: job.kind || 'generate',
+        api_key_id: job.api_key_id,
+        batch_id: job.batch_id || null,
+        storyboard_id: params.storyboard ? params.storyboard.id : null,
+        variant_of: params.variant_of || null,
+        inputs: {
+            headline: params.headline,
+            target_duration: params.target_duration,
+            voice_type: params.voice_type,
+            language: params.language || DEFAULT_LANGUAGE,
+            aspect_ratio: params.aspect_ratio,
+            resolution: params.resolution,
+            framing: params.framing,
+            style: params.style || null,
+            captions: params.captions || null,
+            music: params.music ? { source: params.music.source, track: params.music.track, volume: params.music.volume } : null,
+            template: params.branding ? params.branding.name : null,
+            media: params.media && params.media.length ? params.media.map(item => ({ type: item.type, name: item.name })) : null,
+            no_cache: Boolean(params.no_cache)
+        },
+        script: artifacts.script || null,
+        scenes: result.scenes || null,
+        duration: result.duration,
+        duration_fit: result.duration_fit || null,
+        width: result.width,
+        height: result.height,
+        storage: {
+            backend: storage.name,
+            key: result.storage_key,
+            caption_keys: result.caption_keys || null,
+            output_keys: result.output_keys || null
+        },
+        asset_hashes: {
+            video: videoInfo ? videoInfo.sha256 : null,
+            ...(artifacts.asset_hashes || {})
+        },
+        media_info: videoInfo ? videoInfo.media : null,
+        created_at: job.completed_at || new Date().toISOString()
+    };
+    videos.set(video.id, video);
+    saveVideos();
+    return video;
+};
+
+// Add finished jobs that aren't in the library yet, such as ones completed before it existed
+const backfillVideos = (storedJobs) => {
+    const missing = [...storedJobs].filter(job => job.kind !== 'storyboard' && job.status === 'completed'
+        && job.result && job.result.storage_key && !job.result.deleted_at && !videos.has(job.id));
+    missing.forEach(job => recordVideo(job, job.result));
+    if (missing.length) logger.info(`Added ${missing.length} earlier videos to the library`);
+};
+
+// A `to` date without a time covers that whole day
+const parseVideoDateFilter = (value, name, endOfDay = false) => {
+    if (value === undefined) return { value: null };
+    const time = Date.parse(value);
+    if (typeof value !== 'string' || isNaN(time)) {
+        return { error: `${name} must be an ISO 8601 date or time` };
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return { value: endOfDay && dateOnly ? time + 24 * 60 * 60 * 1000 - 1 : time };
+};
+
+// Validate GET /videos query parameters into a filter and page
+const parseVideoListQuery = (query) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: "page must be a positive integer" };
+    }
+    const perPage = query.per_page === undefined ? VIDEO_LIST_DEFAULT_PER_PAGE : Number(query.per_page);
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > VIDEO_LIST_MAX_PER_PAGE) {
+        return { error: `per_page must be an integer between 1 and ${VIDEO_LIST_MAX_PER_PAGE}` };
+    }
+
+    const from = parseVideoDateFilter(query.from, 'from');
+    if (from.error) return { error: from.error };
+    const to = parseVideoDateFilter(query.to, 'to', true);
+    if (to.error) return { error: to.error };
+
+    if (query.voice !== undefined && !VALID_VOICES.includes(query.voice)) {
+        return { error: `voice must be one of: ${VALID_VOICES.join(', ')}` };
+    }
+    if (query.language !== undefined && !isTableKey(LANGUAGES, query.language)) {
+        return { error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+    }
+    if (query.q !== undefined && typeof query.q !== 'string') {
+        return { error: "q must be a single search string" };
+    }
+
+    return {
+        options: {
+            page,
+            per_page: perPage,
+            from: from.value,
+            to: to.value,
+            voice: query.voice || null,
+            language: query.language || null,
+            // Every word must appear in the headline or script
+            terms: (query.q || '').toLowerCase().split(/\s+/).filter(Boolean)
+        }
+    };
+};
+
+const matchesVideoFilter = (video, { from, to, voice, language, terms }) => {
+    const created = Date.parse(video.created_at);
+    if (from !== null && created < from) return false;
+    if (to !== null && created > to) return false;
+    if (voice && video.inputs.voice_type !== voice) return false;
+    if (language && (video.inputs.language || DEFAULT_LANGUAGE) !== language) return false;
+    if (terms.length) {
+        const text = `${video.inputs.headline} ${video.script ? stripNarrationMarkup(video.script) : ''}`.toLowerCase();
+        if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+};
+
+// Library entry as listed by GET /videos
+const serializeVideoSummary = async (video) => ({
+    video_id: video.id,
+    job_id: video.job_id,
+    kind: video.kind,
+    headline: video.inputs.headline,
+    voice_type: video.inputs.voice_type,
+    language: video.inputs.language || DEFAULT_LANGUAGE,
+    aspect_ratio: video.inputs.aspect_ratio,
+    template: video.inputs.template,
+    duration: video.duration,
+    width: video.width,
+    height: video.height,
+    video_url: await storage.getUrl(video.storage.key),
+    poster_url: video.storage.output_keys && video.storage.output_keys.poster
+        ? await storage.getUrl(video.storage.output_keys.poster)
+        : null,
+    created_at: video.created_at
+});
+
+// Full library entry as returned by GET /videos/:id
+const serializeVideo = async (video) => {
+    const { video_url: videoUrl, captions, outputs } = await resolveResultUrls({
+        storage_key: video.storage.key,
+        caption_keys: video.storage.caption_keys,
+        output_keys: video.storage.output_keys
+    });
+    return {
+        video_id: video.id,
+        job_id: video.job_id,
+        kind: video.kind,
+        batch_id: video.batch_id,
+        storyboard_id: video.storyboard_id,
+        variant_of: video.variant_of || null,
+        inputs: video.inputs,
+        script: video.script,
+        scenes: video.scenes,
+        duration: video.duration,
+        duration_fit: video.duration_fit,
+        width: video.width,
+        height: video.height,
+        video_url: videoUrl,
+        captions: captions || null,
+        outputs: outputs || null,
+        storage: video.storage,
+        asset_hashes: video.asset_hashes,
+        media_info: video.media_info,
+        created_at: video.created_at
+    };
+};
+
+// Remove a video, its captions and extra outputs from storage, then from the library
+const removeVideo = async (video) => {
+    const keys = [
+        video.storage.key,
+        ...Object.values(video.storage.caption_keys || {}),
+        ...(video.storage.output_keys ? video.storage.output_keys.files : [])
+    ];
+    for (const key of keys) {
+        await storage.delete(key);
+    }
+
+    videos.delete(video.id);
+    saveVideos();
+};
+
+module.exports = {
+    videos, loadVideos, hashFile, summarizeMediaInfo, recordVideo, backfillVideos, parseVideoListQuery,
+    matchesVideoFilter, serializeVideoSummary, serializeVideo, removeVideo
+};
@@ -0,0 +1,64 @@
+// Batch sources: CSV parsing, feed parsing and the feed address blocklist
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCsv, isBlockedFeedAddress, readBatchItems } = require('../lib/batches');
+
+const file = (originalname, text) => ({ originalname, buffer: Buffer.from(text) });
+
+test('parses quoted CSV fields with commas, quotes and newlines', () => {
+    const rows = parseCsv('﻿headline,voice_type\r\n"Deal worth $1,000","alloy"\n"He said ""hi""\nagain",\n\n');
+    assert.deepStrictEqual(rows, [
+        ['headline', 'voice_type'],
+        ['Deal worth $1,000', 'alloy'],
+        ['He said "hi"\nagain', '']
+    ]);
+});
+
+test('reads CSV rows as batch items keyed by the header', async () => {
+    const result = await readBatchItems({}, file('items.csv',
+        'Headline,Target_Duration,style\nFirst,30,"{""preset"":""smooth""}"\nSecond,,\n'));
+    assert.deepStrictEqual(result, {
+        source: 'csv',
+        items: [
+            { headline: 'First', target_duration: '30', style: { preset: 'smooth' } },
+            { headline: 'Second' }
+        ]
+    });
+});
+
+test('rejects CSV without a headline column', async () => {
+    const result = await readBatchItems({}, file('items.csv', 'title\nFirst\n'));
+    assert.ok(result.error);
+});
+
+test('reads RSS and Atom entries as batch items', async () => {
+    const rss = await readBatchItems({}, file('feed.rss',
+        '<rss><channel><title>Feed</title><item><title><![CDATA[Rates &amp; bonds]]></title>' +
+        '<link>https://example.com/a</link></item><item><title></title></item></channel></rss>'));
+    assert.deepStrictEqual(rss.items, [{ headline: 'Rates & bonds', source_url: 'https://example.com/a' }]);
+
+    const atom = await readBatchItems({}, file('feed.atom',
+        '<feed><entry><title type="html">Caf&#233; opens</title><link href="https://example.com/b"/></entry></feed>'));
+    assert.deepStrictEqual(atom.items, [{ headline: 'Café opens', source_url: 'https://example.com/b' }]);
+});
+
+test('blocks loopback, private, link-local and reserved feed addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '::1', '::', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'fd00::1', 'fe80::1', 'ff02::1']) {
+        assert.strictEqual(isBlockedFeedAddress(address), true, address);
+    }
+});
+
+test('allows public feed addresses', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700:4700::1111']) {
+        assert.strictEqual(isBlockedFeedAddress(address), false, address);
+    }
+});
+
+test('only fetches http and https feed URLs', async () => {
+    const result = await readBatchItems({ feed_url: 'file:///etc/passwd' });
+    assert.strictEqual(result.error, "feed_url must be an http or https URL");
+});
@@ -0,0 +1,76 @@
+// Caption cue timing and SRT/WebVTT output
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildCaptionCues, toSrt, toVtt } = require('../lib/captions');
+
+const speech = (text, start, end) => ({ type: 'speech', text, start, end });
+
+const cueTexts = (cues) => cues.map(cue => cue.text);
+
+test('splits phrases at clause punctuation and keeps every word', () => {
+    const cues = buildCaptionCues([speech('Markets rallied today, and investors cheered. Bonds fell.', 0, 6)]);
+    assert.deepStrictEqual(cueTexts(cues), ['Markets rallied today,', 'and investors cheered.', 'Bonds fell.']);
+    assert.strictEqual(cues[0].start, 0);
+    assert.ok(Math.abs(cues[cues.length - 1].end - 6) < 1e-9);
+});
+
+test('keeps numbers with separators in one word', () => {
+    const cues = buildCaptionCues([speech('The deal is worth $1,000.', 0, 3)]);
+    assert.deepStrictEqual(cueTexts(cues), ['The deal is worth $1,000.']);
+    assert.strictEqual(cues[0].words.length, 5);
+});
+
+test('keeps decimals and abbreviations whole', () => {
+    const cues = buildCaptionCues([speech('U.S. officials said growth hit 2.5 percent', 0, 4)]);
+    const words = cues.flatMap(cue => cue.words.map(timed => timed.word));
+    assert.deepStrictEqual(words, ['U.S.', 'officials', 'said', 'growth', 'hit', '2.5', 'percent']);
+    assert.ok(cueTexts(cues).includes('U.S.'));
+    assert.ok(!cueTexts(cues).some(text => text === 'U.' || text === 'S.'));
+});
+
+test('cue words line up with their timing', () => {
+    const cues = buildCaptionCues([
+        speech('Prices rose 3.2% in May, the most since 2,019.', 0, 5),
+        { type: 'pause', start: 5, end: 7 },
+        speech('Analysts expect more.', 7, 9)
+    ]);
+    for (const cue of cues) {
+        assert.strictEqual(cue.text, cue.words.map(timed => timed.word).join(' '));
+        assert.strictEqual(cue.start, cue.words[0].start);
+    }
+    // The pause is longer than the bridged gap, so the last cue starts after it
+    assert.strictEqual(cues[cues.length - 1].start, 7);
+    assert.strictEqual(cues[cues.length - 2].end, 5);
+});
+
+test('spreads long clauses evenly over at most five words each', () => {
+    const cues = buildCaptionCues([speech('one two three four five six seven', 0, 7)]);
+    assert.deepStrictEqual(cueTexts(cues), ['one two three four', 'five six seven']);
+});
+
+test('bridges short gaps between phrases', () => {
+    const cues = buildCaptionCues([
+        speech('First part.', 0, 1),
+        { type: 'pause', start: 1, end: 1.3 },
+        speech('Second part.', 1.3, 2)
+    ]);
+    assert.strictEqual(cues[0].end, cues[1].start);
+});
+
+test('returns no cues without speech', () => {
+    assert.deepStrictEqual(buildCaptionCues([{ type: 'pause', start: 0, end: 1 }]), []);
+});
+
+test('formats SRT and WebVTT', () => {
+    const cues = [
+        { start: 0, end: 1.5, text: 'Hello there,' },
+        { start: 1.5, end: 3661.0015, text: 'general $1,000.' }
+    ];
+    assert.strictEqual(toSrt(cues),
+        '1\n00:00:00,000 --> 00:00:01,500\nHello there,\n\n2\n00:00:01,500 --> 01:01:01,002\ngeneral $1,000.\n');
+    assert.strictEqual(toVtt(cues),
+        'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello there,\n\n00:00:01.500 --> 01:01:01.002\ngeneral $1,000.\n');
+});
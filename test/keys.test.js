@@ -0,0 +1,113 @@
+// API key quotas and access tokens
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keys are saved as they are used, so keep the store out of the working directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-keys-'));
+process.env.DATA_DIR = dataDir;
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    saveApiKeys, parseQuotas, createApiKey, createAccessToken, consumeQuota, requireApiKeyOrToken
+} = require('../lib/keys');
+
+test.after(async () => {
+    // Let the last save finish before removing its directory
+    await saveApiKeys();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Just enough of an Express response for the key helpers
+const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+        if (typeof name === 'object') Object.assign(this.headers, name);
+        else this.headers[name] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+const newKey = (quotas) => createApiKey('test', parseQuotas(quotas).quotas).apiKey;
+
+test('validates quota overrides', () => {
+    assert.strictEqual(parseQuotas({ hourly: 5 }).quotas.hourly, 5);
+    assert.ok(parseQuotas({ hourly: 0 }).error);
+    assert.ok(parseQuotas({ daily: 1.5 }).error);
+    assert.ok(parseQuotas({ voices: ['robot'] }).error);
+    assert.ok(parseQuotas([]).error);
+    assert.deepStrictEqual(parseQuotas({ voices: ['nova', 'nova'] }).quotas.voices, ['nova']);
+});
+
+test('counts generations until the hourly quota is used up', () => {
+    const apiKey = newKey({ hourly: 2, daily: 10 });
+
+    const first = createResponse();
+    assert.deepStrictEqual(consumeQuota(apiKey, first), { allowed: true });
+    assert.strictEqual(first.headers['RateLimit-Remaining'], '1');
+
+    assert.strictEqual(consumeQuota(apiKey, createResponse()).allowed, true);
+
+    const refused = createResponse();
+    const result = consumeQuota(apiKey, refused);
+    assert.strictEqual(result.allowed, false);
+    assert.match(result.error, /^Hourly quota of 2 videos exceeded/);
+    assert.strictEqual(refused.headers['RateLimit-Remaining'], '0');
+    assert.ok(Number(refused.headers['Retry-After']) > 0);
+    assert.strictEqual(apiKey.total_videos, 2);
+});
+
+test('needs room for a whole batch', () => {
+    const apiKey = newKey({ hourly: 5, daily: 3 });
+    const result = consumeQuota(apiKey, createResponse(), 4);
+    assert.strictEqual(result.allowed, false);
+    assert.match(result.error, /^Daily quota has 3 of 3 videos left, but 4 were requested/);
+    assert.strictEqual(apiKey.usage.length, 0);
+
+    assert.strictEqual(consumeQuota(apiKey, createResponse(), 3).allowed, true);
+    assert.strictEqual(apiKey.usage.length, 3);
+});
+
+test('forgets generations outside the quota windows', () => {
+    const apiKey = newKey({ hourly: 1, daily: 10 });
+    apiKey.usage = [Date.now() - 2 * 60 * 60 * 1000, Date.now() - 25 * 60 * 60 * 1000];
+    assert.strictEqual(consumeQuota(apiKey, createResponse()).allowed, true);
+    assert.strictEqual(apiKey.usage.length, 2);
+});
+
+test('accepts an access token only for its own id and an active key', () => {
+    const apiKey = newKey();
+    const token = createAccessToken(apiKey.id, 'job-1');
+    const run = (id, query) => {
+        const req = { params: { id }, query, get: () => undefined };
+        const res = createResponse();
+        let passed = false;
+        requireApiKeyOrToken(req, res, () => { passed = true; });
+        return { passed, req, res };
+    };
+
+    const allowed = run('job-1', { token });
+    assert.strictEqual(allowed.passed, true);
+    assert.strictEqual(allowed.req.apiKey, apiKey);
+
+    assert.strictEqual(run('job-2', { token }).res.statusCode, 401);
+    assert.strictEqual(run('job-1', { token: `${token}x` }).res.statusCode, 401);
+    assert.strictEqual(run('job-1', { token: 'garbage' }).res.statusCode, 401);
+    assert.strictEqual(run('job-1', {}).res.statusCode, 401);
+
+    apiKey.revoked_at = new Date().toISOString();
+    assert.strictEqual(run('job-1', { token }).res.statusCode, 401);
+});
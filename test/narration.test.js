@@ -0,0 +1,49 @@
+// Narration markup parsing
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MAX_BREAK_SECONDS, parseBreakTime, parseNarrationMarkup } = require('../lib/narration');
+
+test('parses break times in seconds and milliseconds', () => {
+    assert.strictEqual(parseBreakTime('0.3s'), 0.3);
+    assert.strictEqual(parseBreakTime('250ms'), 0.25);
+    assert.strictEqual(parseBreakTime(' 2 '), 2);
+    assert.strictEqual(parseBreakTime('soon'), 0);
+    assert.strictEqual(parseBreakTime('1.2.3s'), 1.2);
+    assert.strictEqual(parseBreakTime(null), 0);
+});
+
+test('clamps long breaks', () => {
+    assert.strictEqual(parseBreakTime('40000s'), MAX_BREAK_SECONDS);
+    assert.strictEqual(parseBreakTime('9999999ms'), MAX_BREAK_SECONDS);
+    assert.strictEqual(parseBreakTime(`${'9'.repeat(400)}s`), MAX_BREAK_SECONDS);
+    assert.strictEqual(parseBreakTime('.s'), 0);
+});
+
+test('turns markup into speech, pause and mark items', () => {
+    const items = parseNarrationMarkup(
+        '<mark name="scene-1"/>Hello <emphasis>world</emphasis>.<break time="500ms"/>' +
+        '<prosody rate="150%">Fast part</prosody> <unknown>kept text</unknown>'
+    );
+    assert.deepStrictEqual(items, [
+        { type: 'mark', name: 'scene-1' },
+        { type: 'speech', text: 'Hello', speed: 1, emphasis: false },
+        { type: 'speech', text: 'world', speed: 0.9, emphasis: true },
+        { type: 'speech', text: '.', speed: 1, emphasis: false },
+        { type: 'pause', duration: 0.5 },
+        { type: 'speech', text: 'Fast part', speed: 1.5, emphasis: false },
+        { type: 'speech', text: 'kept text', speed: 1, emphasis: false }
+    ]);
+});
+
+test('merges consecutive breaks, each clamped', () => {
+    const items = parseNarrationMarkup('One.<break time="40000s"/><break time="1s"/>Two.');
+    assert.deepStrictEqual(items[1], { type: 'pause', duration: MAX_BREAK_SECONDS + 1 });
+});
+
+test('keeps prosody speed within the TTS range', () => {
+    const [item] = parseNarrationMarkup('<prosody rate="10"><prosody rate="10">Too fast</prosody></prosody>');
+    assert.strictEqual(item.speed, 4);
+});
@@ -0,0 +1,42 @@
+// Extra output options
+process.env.AI_PROVIDER = 'fixture';
+process.env.STORAGE_BACKEND = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseOutputOptions } = require('../lib/outputs');
+
+test('asks for no extra outputs by default', () => {
+    for (const input of [undefined, null, false, {}, { renditions: false }]) {
+        assert.deepStrictEqual(parseOutputOptions(input, '1080p'), { options: null });
+    }
+});
+
+test('expands renditions up to the main resolution, largest first', () => {
+    assert.deepStrictEqual(parseOutputOptions({ poster: true, renditions: true }, '720p').options, {
+        poster: true, preview: false, renditions: ['720p', '480p'], hls: false
+    });
+    assert.deepStrictEqual(parseOutputOptions({ renditions: ['480p', '1080p'] }, '1080p').options.renditions, ['1080p', '480p']);
+});
+
+test('HLS without a list uses every rendition', () => {
+    assert.deepStrictEqual(parseOutputOptions({ hls: true }, '1080p').options, {
+        poster: false, preview: false, renditions: ['1080p', '720p', '480p'], hls: true
+    });
+});
+
+test('rejects invalid output options', () => {
+    const cases = [
+        [[], '1080p'],
+        ['poster', '1080p'],
+        [{ poster: 'yes' }, '1080p'],
+        [{ renditions: ['4k'] }, '1080p'],
+        [{ renditions: ['constructor'] }, '1080p'],
+        [{ renditions: ['1080p'] }, '720p'],
+        [{ hls: true, renditions: [] }, '1080p']
+    ];
+    for (const [input, resolution] of cases) {
+        assert.ok(parseOutputOptions(input, resolution).error, JSON.stringify(input));
+    }
+});
@@ -0,0 +1,44 @@
+// Motion and transition style options
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseStyleOptions, resolveSceneMotions } = require('../lib/render');
+
+test('defaults to the static preset', () => {
+    assert.deepStrictEqual(parseStyleOptions(undefined), {
+        options: { motion: 'none', transition: 'cut', transition_duration: 0 }
+    });
+});
+
+test('accepts a preset name', () => {
+    assert.deepStrictEqual(parseStyleOptions('cinematic').options, {
+        motion: 'zoom_in', transition: 'fade_black', transition_duration: 1.0
+    });
+});
+
+test('overrides a preset with an object', () => {
+    assert.deepStrictEqual(parseStyleOptions({ preset: 'smooth', motion: ['zoom_in', 'random'], transition_duration: 1.5 }).options, {
+        motion: ['zoom_in', 'random'], transition: 'crossfade', transition_duration: 1.5
+    });
+    // A cut has no duration, whatever was asked for
+    assert.strictEqual(parseStyleOptions({ transition: 'cut', transition_duration: 2 }).options.transition_duration, 0);
+});
+
+test('rejects unknown or invalid style options', () => {
+    for (const input of ['bouncy', 'constructor', 'toString', null, [], 42, { motion: 'spin' }, { motion: [] },
+        { transition: 'wipe' }, { transition: 'crossfade', transition_duration: 3 },
+        { transition: 'crossfade', transition_duration: '1' }]) {
+        assert.ok(parseStyleOptions(input).error, JSON.stringify(input));
+    }
+});
+
+test('repeats a motion list and never picks the same random motion twice in a row', () => {
+    assert.deepStrictEqual(resolveSceneMotions(['zoom_in', 'pan_left'], 3), ['zoom_in', 'pan_left', 'zoom_in']);
+    const motions = resolveSceneMotions('random', 20);
+    motions.forEach((motion, i) => {
+        assert.notStrictEqual(motion, 'none');
+        if (i > 0) assert.notStrictEqual(motion, motions[i - 1]);
+    });
+});
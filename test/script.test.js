@@ -0,0 +1,40 @@
+// Narration trimming
+process.env.AI_PROVIDER = 'fixture';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { trimSceneNarration } = require('../lib/script');
+
+const scene = (narration) => ({ narration, image_prompt: 'prompt', duration_hint: 5 });
+
+test('keeps every sentence when within budget', () => {
+    const scenes = [scene('One two three. Four five.')];
+    assert.deepStrictEqual(trimSceneNarration(scenes, 10), scenes);
+});
+
+test('cuts each scene at a sentence boundary', () => {
+    const scenes = trimSceneNarration([
+        scene('Alpha beta gamma. Delta epsilon zeta. Eta theta iota.'),
+        scene('One two three. Four five six.')
+    ], 10);
+    assert.deepStrictEqual(scenes.map(item => item.narration), [
+        'Alpha beta gamma. Delta epsilon zeta.',
+        'One two three.'
+    ]);
+});
+
+test('keeps the first sentence of a scene even over budget', () => {
+    const [trimmed] = trimSceneNarration([scene('A long first sentence here! Then more?')], 1);
+    assert.strictEqual(trimmed.narration, 'A long first sentence here!');
+});
+
+test('does not split numbers, decimals or quoted sentences', () => {
+    const [trimmed] = trimSceneNarration([scene('Prices rose 2.5 percent to $1,000. "It was fast." Then it fell.')], 9);
+    assert.strictEqual(trimmed.narration, 'Prices rose 2.5 percent to $1,000. "It was fast."');
+});
+
+test('keeps the other scene fields', () => {
+    const [trimmed] = trimSceneNarration([scene('Keep me. Drop me please now.')], 2);
+    assert.deepStrictEqual(trimmed, { narration: 'Keep me.', image_prompt: 'prompt', duration_hint: 5 });
+});
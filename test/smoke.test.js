@@ -0,0 +1,120 @@
+// End-to-end smoke test: starts the server with the offline fixture provider and local
+// storage, generates a short video and polls the job until it completes
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const APP = path.join(__dirname, '..', 'app.js');
+const ADMIN_KEY = 'smoke-test-admin';
+const STARTUP_TIMEOUT = 15000;
+const JOB_TIMEOUT = 180000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const hasExecutable = (command) => !spawnSync(command, ['-version'], { stdio: 'ignore' }).error;
+
+const getFreePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Poll until check() returns something truthy. Errors count as "not yet" unless flagged fatal.
+const waitFor = async (check, timeout, label) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const result = await check().catch((error) => {
+            if (error.fatal) throw error;
+            return null;
+        });
+        if (result) return result;
+        await sleep(500);
+    }
+    throw new Error(`Timed out waiting for ${label}`);
+};
+
+const ffmpegMissing = !hasExecutable(process.env.FFMPEG_PATH || 'ffmpeg')
+    || !hasExecutable(process.env.FFPROBE_PATH || 'ffprobe');
+
+test('generates a video offline with the fixture provider', { skip: ffmpegMissing && 'ffmpeg/ffprobe not found' }, async (t) => {
+    // The server writes its data, videos and logs relative to its working directory
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-smoke-'));
+    const port = await getFreePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    let output = '';
+    const server = spawn(process.execPath, [APP], {
+        cwd: workDir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            AI_PROVIDER: 'fixture',
+            STORAGE_BACKEND: 'local',
+            ADMIN_API_KEY: ADMIN_KEY
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => server.on('exit', resolve));
+
+    t.after(async () => {
+        if (server.exitCode === null) {
+            server.kill();
+            await exited;
+        }
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    const request = async (method, urlPath, { body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        await waitFor(async () => (await fetch(`${baseUrl}/healthz`)).ok, STARTUP_TIMEOUT, 'the server to start');
+
+        const created = await request('POST', '/admin/keys', {
+            body: { name: 'smoke' },
+            headers: { 'X-Admin-Key': ADMIN_KEY }
+        });
+        assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+        const apiKey = created.body.key;
+        assert.ok(apiKey);
+
+        const queued = await request('POST', '/generate', {
+            body: { headline: 'Smoke test', target_duration: 10 },
+            headers: { 'X-API-Key': apiKey }
+        });
+        assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+        const jobId = queued.body.job_id;
+
+        const job = await waitFor(async () => {
+            const { body } = await request('GET', `/jobs/${jobId}`, { headers: { 'X-API-Key': apiKey } });
+            if (body.status === 'failed') {
+                throw Object.assign(new Error(`Job failed: ${body.error}`), { fatal: true });
+            }
+            return body.status === 'completed' ? body : null;
+        }, JOB_TIMEOUT, `job ${jobId} to complete`);
+
+        assert.ok(job.video_url, 'completed job has a video_url');
+        assert.ok(job.scenes.length > 0, 'completed job has scenes');
+        const video = await fetch(`${baseUrl}${job.video_url}`);
+        assert.strictEqual(video.status, 200);
+        assert.ok((await video.arrayBuffer()).byteLength > 0, 'video file is not empty');
+    } catch (error) {
+        error.message += `\n--- server output ---\n${output.slice(-4000)}`;
+        throw error;
+    }
+});